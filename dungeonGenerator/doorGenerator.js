@@ -0,0 +1,109 @@
+// server/dungeonGenerator/doorGenerator.js
+
+// Room type -> key needed to open its doors
+export const LOCKED_ROOM_TYPES = { treasure: "silver", boss: "gold" };
+
+/**
+ * Places doors where corridors open into rooms
+ *
+ * Each side of a room is scanned one tile outside the room. A run of floor
+ * tiles flanked by walls on both ends, with more floor behind it, is a
+ * corridor mouth and becomes a door.
+ *
+ * @param {Array} tiles - Tiles layer (values > 0 are walls)
+ * @param {Array} rooms - Room rectangles {x, y, width, height, type} in tiles
+ * @param {Object} options - Placement options
+ * @returns {Array} - Doors {id, x, y, width, height, orientation, roomType, lockType}
+ */
+export function generateDoors(tiles, rooms, options = {}) {
+  const {
+    maxWidth = 6, // Wider openings are left open
+    lockedRoomTypes = LOCKED_ROOM_TYPES, // Room type -> key needed
+  } = options;
+
+  const doors = [];
+  const usedTiles = new Set();
+
+  const isFloor = (x, y) =>
+    y >= 0 && y < tiles.length && x >= 0 && x < tiles[y].length && !(tiles[y][x] > 0);
+
+  const isInsideRoom = (x, y) =>
+    rooms.some(
+      (room) =>
+        x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height
+    );
+
+  rooms.forEach((room, roomIndex) => {
+    const sides = [
+      // Top and bottom edges run along X
+      { horizontal: true, fixed: room.y - 1, start: room.x, length: room.width, outward: -1 },
+      { horizontal: true, fixed: room.y + room.height, start: room.x, length: room.width, outward: 1 },
+      // Left and right edges run along Y
+      { horizontal: false, fixed: room.x - 1, start: room.y, length: room.height, outward: -1 },
+      { horizontal: false, fixed: room.x + room.width, start: room.y, length: room.height, outward: 1 },
+    ];
+
+    for (const side of sides) {
+      // Convert a position along the side to tile coordinates
+      const at = (offset, depth = 0) =>
+        side.horizontal
+          ? { x: side.start + offset, y: side.fixed + side.outward * depth }
+          : { x: side.fixed + side.outward * depth, y: side.start + offset };
+
+      let offset = 0;
+      while (offset < side.length) {
+        const { x, y } = at(offset);
+        if (!isFloor(x, y)) {
+          offset++;
+          continue;
+        }
+
+        // Measure the run of floor tiles along this side
+        let runEnd = offset;
+        while (runEnd < side.length && isFloor(at(runEnd).x, at(runEnd).y)) {
+          runEnd++;
+        }
+
+        const runLength = runEnd - offset;
+        const before = at(offset - 1);
+        const after = at(runEnd);
+
+        const isCorridorMouth =
+          runLength <= maxWidth &&
+          !isFloor(before.x, before.y) &&
+          !isFloor(after.x, after.y) &&
+          Array.from({ length: runLength }, (_, i) => i + offset).every((i) => {
+            const tile = at(i);
+            const behind = at(i, 1);
+            return (
+              isFloor(behind.x, behind.y) &&
+              !isInsideRoom(tile.x, tile.y) &&
+              !usedTiles.has(`${tile.x},${tile.y}`)
+            );
+          });
+
+        if (isCorridorMouth) {
+          const origin = at(offset);
+          for (let i = offset; i < runEnd; i++) {
+            usedTiles.add(`${at(i).x},${at(i).y}`);
+          }
+
+          doors.push({
+            id: `door_${roomIndex}_${doors.length}`,
+            x: origin.x,
+            y: origin.y,
+            width: side.horizontal ? runLength : 1,
+            height: side.horizontal ? 1 : runLength,
+            orientation: side.horizontal ? "horizontal" : "vertical",
+            roomType: room.type,
+            lockType: lockedRoomTypes[room.type] || "",
+          });
+        }
+
+        offset = runEnd;
+      }
+    }
+  });
+
+  return doors;
+}
@@ -0,0 +1,98 @@
+// server/dungeonGenerator/portalGenerator.js
+import { shuffleArray } from "./utils.js";
+import { LOCKED_ROOM_TYPES } from "./doorGenerator.js";
+
+/**
+ * Places linked portal pairs between distant rooms
+ *
+ * Each portal sits on a free floor tile near its room's centre and knows the
+ * ID of the portal it leads to, so travel works in both directions.
+ *
+ * @param {Object} layers - Map layers (tiles, props, monsters)
+ * @param {Array} rooms - Room rectangles {x, y, width, height, type} in tiles
+ * @param {Object} options - Placement options
+ * @returns {Array} - Portals {id, x, y, roomType, destinationId}
+ */
+export function generatePortals(layers, rooms, options = {}) {
+  const {
+    pairCount = 3,
+    minDistance = 40, // Minimum tile distance between linked rooms
+    // Rooms that never get a portal, locked rooms included so portals can't bypass their keys
+    excludedRoomTypes = ["entrance", ...Object.keys(LOCKED_ROOM_TYPES)],
+    rng = Math.random,
+  } = options;
+
+  const { tiles, props, monsters } = layers;
+
+  const isFree = (x, y) =>
+    y >= 0 && y < tiles.length && x >= 0 && x < tiles[y].length &&
+    !(tiles[y][x] > 0) &&
+    !(props && props[y] && props[y][x]) &&
+    !(monsters && monsters[y] && monsters[y][x]);
+
+  // Closest free tile to the room centre, keeping one tile away from the walls
+  const findPortalTile = (room) => {
+    const centerX = Math.floor(room.x + room.width / 2);
+    const centerY = Math.floor(room.y + room.height / 2);
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (let y = room.y + 1; y < room.y + room.height - 1; y++) {
+      for (let x = room.x + 1; x < room.x + room.width - 1; x++) {
+        if (!isFree(x, y)) continue;
+
+        const distance = Math.abs(x - centerX) + Math.abs(y - centerY);
+        if (distance < bestDistance) {
+          best = { x, y };
+          bestDistance = distance;
+        }
+      }
+    }
+
+    return best;
+  };
+
+  const candidates = shuffleArray(
+    rooms.filter((room) => !excludedRoomTypes.includes(room.type)),
+    rng
+  );
+
+  const portals = [];
+  const used = new Set();
+
+  for (let i = 0; i < candidates.length && portals.length < pairCount * 2; i++) {
+    if (used.has(i)) continue;
+
+    const from = candidates[i];
+    const fromTile = findPortalTile(from);
+    if (!fromTile) continue;
+
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (used.has(j)) continue;
+
+      const to = candidates[j];
+      const distance = Math.hypot(
+        to.x + to.width / 2 - (from.x + from.width / 2),
+        to.y + to.height / 2 - (from.y + from.height / 2)
+      );
+      if (distance < minDistance) continue;
+
+      const toTile = findPortalTile(to);
+      if (!toTile) continue;
+
+      const pair = portals.length / 2;
+      const idA = `portal_${pair}_a`;
+      const idB = `portal_${pair}_b`;
+      portals.push(
+        { id: idA, x: fromTile.x, y: fromTile.y, roomType: from.type, destinationId: idB },
+        { id: idB, x: toTile.x, y: toTile.y, roomType: to.type, destinationId: idA }
+      );
+
+      used.add(i);
+      used.add(j);
+      break;
+    }
+  }
+
+  return portals;
+}
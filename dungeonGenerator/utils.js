@@ -49,13 +49,14 @@ export function resizeTileMap(tilemap, width, height) {
 /**
  * Shuffle an array's entries into a new one
  * @param {Array} array - Original array
+ * @param {Function} rng - Random number generator returning [0, 1)
  * @returns {Array} - Shuffled array
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, rng = Math.random) {
   const newArray = [...array];
 
   for (let i = newArray.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
   }
 
@@ -76,10 +77,11 @@ export function random(min, max) {
  * Return one of the values matching the randomly selected weight
  * @param {Array} weights - Array of weights
  * @param {Array} values - Array of values
+ * @param {Function} rng - Random number generator returning [0, 1)
  * @returns {any} - Selected value
  */
-export function randomWeights(weights, values) {
-  const num = Math.random();
+export function randomWeights(weights, values, rng = Math.random) {
+  const num = rng();
   let s = 0;
   let lastIndex = weights.length - 1;
 
@@ -6,8 +6,30 @@ import { Position } from "../schemas/Position.js";
 import { InputHandler } from "../systems/InputHandler.js";
 import { PhaseManager } from "../systems/PhaseManager.js";
 import { EventManager } from "../systems/EventManager.js";
+import { EventScheduler } from "../systems/EventScheduler.js";
 import { CollisionSystem } from "../systems/CollisionSystem.js";
 import { LeaderboardSystem } from "../systems/LeaderboardSystem.js";
+import { CombatSystem } from "../systems/CombatSystem.js";
+import { MonsterSystem } from "../systems/MonsterSystem.js";
+import { PathfindingSystem } from "../systems/PathfindingSystem.js";
+import { ProgressionSystem } from "../systems/ProgressionSystem.js";
+import { BoonSystem } from "../systems/BoonSystem.js";
+import { AbilitySystem } from "../systems/AbilitySystem.js";
+import { LootSystem } from "../systems/LootSystem.js";
+import { InventorySystem } from "../systems/InventorySystem.js";
+import { StatsSystem } from "../systems/StatsSystem.js";
+import { PickupSystem } from "../systems/PickupSystem.js";
+import { DoorSystem } from "../systems/DoorSystem.js";
+import { PortalSystem } from "../systems/PortalSystem.js";
+import { FloorCollapseSystem } from "../systems/FloorCollapseSystem.js";
+import { SpectatorSystem } from "../systems/SpectatorSystem.js";
+import { StatusEffectSystem } from "../systems/StatusEffectSystem.js";
+import { ProjectileSystem } from "../systems/ProjectileSystem.js";
+import { PhysicsSystem } from "../systems/PhysicsSystem.js";
+import { RemainsSystem } from "../systems/RemainsSystem.js";
+import { ObjectiveSystem } from "../systems/ObjectiveSystem.js";
+import { ScoringSystem } from "../systems/ScoringSystem.js";
+import { CombatLogSystem } from "../systems/CombatLogSystem.js";
 import { MapManager } from "../systems/MapManager.js";
 import { auth } from "@colyseus/auth";
 import jwt from "jsonwebtoken";
@@ -25,8 +47,30 @@ export class NormalGameRoom extends BaseRoom {
     this.inputHandler = null;
     this.phaseManager = null;
     this.eventManager = null;
+    this.eventScheduler = null;
     this.collisionSystem = null;
     this.leaderboardSystem = null;
+    this.combatSystem = null;
+    this.monsterSystem = null;
+    this.pathfindingSystem = null;
+    this.progressionSystem = null;
+    this.boonSystem = null;
+    this.abilitySystem = null;
+    this.lootSystem = null;
+    this.inventorySystem = null;
+    this.statsSystem = null;
+    this.pickupSystem = null;
+    this.doorSystem = null;
+    this.portalSystem = null;
+    this.floorCollapseSystem = null;
+    this.spectatorSystem = null;
+    this.statusEffectSystem = null;
+    this.projectileSystem = null;
+    this.physicsSystem = null;
+    this.remainsSystem = null;
+    this.objectiveSystem = null;
+    this.scoringSystem = null;
+    this.combatLogSystem = null;
     this.mapManager = null;
   }
 
@@ -42,12 +86,53 @@ export class NormalGameRoom extends BaseRoom {
       ...options,
     };
 
+    // Seed for everything that should replay the same way in a match
+    this.matchSeed = roomOptions.seed || `match_${this.roomId}_${Date.now()}`;
+
     // Initialize systems
     this.inputHandler = new InputHandler(this);
     this.phaseManager = new PhaseManager(this);
     this.eventManager = new EventManager(this);
+    this.eventScheduler = new EventScheduler(this).init({
+      debug: roomOptions.debug,
+      ...roomOptions.events,
+      seed: this.matchSeed,
+    });
     this.collisionSystem = new CollisionSystem(this); // Add collision system
+    this.pathfindingSystem = new PathfindingSystem(this);
     this.leaderboardSystem = new LeaderboardSystem(this);
+    this.scoringSystem = new ScoringSystem(this).init({
+      debug: roomOptions.debug,
+      weights: roomOptions.scoring,
+    });
+    this.combatSystem = new CombatSystem(this);
+    this.combatLogSystem = new CombatLogSystem(this).init({
+      debug: roomOptions.debug,
+      ...roomOptions.combatLog,
+    });
+    this.monsterSystem = new MonsterSystem(this);
+    this.progressionSystem = new ProgressionSystem(this).init({
+      debug: roomOptions.debug,
+      ...roomOptions.progression,
+    });
+    this.boonSystem = new BoonSystem(this);
+    this.abilitySystem = new AbilitySystem(this);
+    this.lootSystem = new LootSystem(this);
+    this.inventorySystem = new InventorySystem(this);
+    this.statsSystem = new StatsSystem(this);
+    this.pickupSystem = new PickupSystem(this);
+    this.doorSystem = new DoorSystem(this);
+    this.portalSystem = new PortalSystem(this);
+    this.floorCollapseSystem = new FloorCollapseSystem(this);
+    this.spectatorSystem = new SpectatorSystem(this);
+    this.statusEffectSystem = new StatusEffectSystem(this);
+    this.projectileSystem = new ProjectileSystem(this);
+    this.physicsSystem = new PhysicsSystem(this).init({
+      debug: roomOptions.debug,
+      ...roomOptions.physics,
+    });
+    this.remainsSystem = new RemainsSystem(this);
+    this.objectiveSystem = new ObjectiveSystem(this);
 
     // Initialize map manager with configuration
     this.mapManager = new MapManager(this);
@@ -63,11 +148,9 @@ export class NormalGameRoom extends BaseRoom {
       `Initial floor generated with ${initialMap.layers.tiles.length}x${initialMap.layers.tiles[0].length} tiles`
     );
 
-    // Initialize collision map with the generated map
-    this.collisionSystem.initCollisionMap(initialMap);
-
     // Connect systems
     this.inputHandler.setCollisionSystem(this.collisionSystem);
+    this.combatSystem.setCollisionSystem(this.collisionSystem);
 
     // Set initial phase
     this.phaseManager.setPhase("lobby");
@@ -169,6 +252,7 @@ export class NormalGameRoom extends BaseRoom {
 
     // Add player to room state
     this.state.players.set(client.id, player);
+    this.scoringSystem.addPlayer(player);
     console.log(
       `Player ${player.name} (${
         userId ? "Authenticated" : "Guest"
@@ -234,6 +318,15 @@ export class NormalGameRoom extends BaseRoom {
 
     // Remove player from room state
     this.state.players.delete(client.id);
+    this.combatSystem.removePlayer(client.id);
+    this.boonSystem.removePlayer(client.id);
+    this.abilitySystem.removePlayer(client.id);
+    this.portalSystem.removePlayer(client.id);
+    this.spectatorSystem.removePlayer(client.id);
+    this.statusEffectSystem.removePlayer(client.id);
+    this.physicsSystem.removePlayer(client.id);
+    this.objectiveSystem.removePlayer(client.id);
+    this.scoringSystem.removePlayer(client.id);
 
     // If this player was assigned to a spawn point, release it
     if (
@@ -269,6 +362,13 @@ export class NormalGameRoom extends BaseRoom {
     // Register input handler messages
     this.inputHandler.registerHandlers();
 
+    // Register combat messages
+    this.combatSystem.registerHandlers();
+    this.boonSystem.registerHandlers();
+    this.abilitySystem.registerHandlers();
+    this.inventorySystem.registerHandlers();
+    this.spectatorSystem.registerHandlers();
+
     // Player ready handler
     this.onMessage("ready", (client, message) => {
       const player = this.state.players.get(client.id);
@@ -328,7 +428,7 @@ export class NormalGameRoom extends BaseRoom {
     // Handle interaction with objects (e.g. chests, triggers)
     this.onMessage("interaction", (client, message) => {
       const player = this.state.players.get(client.id);
-      if (!player) return;
+      if (!player || player.isSpectator || !player.onFloor) return;
 
       console.log(
         `Player ${player.name} interacted with ${message.type} at tile (${message.tileX}, ${message.tileY})`
@@ -351,6 +451,11 @@ export class NormalGameRoom extends BaseRoom {
           this.handlePortalInteraction(client, player, message);
           break;
 
+        case "remains":
+          // Claim an eliminated player's items and gold
+          this.handleRemainsInteraction(client, player, message);
+          break;
+
         default:
           // Unknown interaction type
           console.warn(`Unknown interaction type: ${message.type}`);
@@ -372,6 +477,8 @@ export class NormalGameRoom extends BaseRoom {
         return;
       }
 
+      const combat = this.combatLogSystem.getPlayerSummary(player.id);
+
       // Update player stats in database
       await prisma.playerProfile.update({
         where: { userId: userIdNumber },
@@ -383,12 +490,20 @@ export class NormalGameRoom extends BaseRoom {
                 increment: Math.floor((Date.now() - player.joinTime) / 1000),
               },
               // Update other stats as needed
-              killCount: player.stats?.killCount || 0,
-              deathCount: player.stats?.deathCount || 0,
+              killCount: { increment: combat.kills },
+              deathCount: { increment: combat.deaths },
               highScore: Math.max(
                 player.stats?.highScore || 0,
                 player.currentProgress || 0
               ),
+              // Keep the player's side of the last match's combat log
+              statData: {
+                lastMatch: {
+                  roomId: this.roomId,
+                  combat,
+                  log: this.combatLogSystem.getPlayerEntries(player.id),
+                },
+              },
             },
           },
         },
@@ -419,13 +534,20 @@ export class NormalGameRoom extends BaseRoom {
 
       // Check if there's a chest at this position (prop value 3 = chest)
       if (props && props[tileY] && props[tileY][tileX] === 3) {
-        // Give player a reward
-        // For now, just notify the player
+        // Roll the chest's loot table and give the player its contents
+        const loot = this.lootSystem.openChest(player, tileX, tileY);
         client.send("itemFound", {
-          type: "gold",
-          amount: Math.floor(10 + Math.random() * 20),
+          tileX,
+          tileY,
+          gold: loot.gold,
+          items: loot.items.map((item) => item.toJSON()),
+          leftBehind: loot.leftBehind,
+          remainsId: loot.remainsId,
         });
 
+        this.progressionSystem.handleChestOpened(player);
+        this.objectiveSystem.handleChestOpened(player);
+
         // Mark chest as opened by setting it to 0 (empty)
         props[tileY][tileX] = 0;
 
@@ -444,13 +566,7 @@ export class NormalGameRoom extends BaseRoom {
    * @param {Object} message - Interaction message
    */
   handleDoorInteraction(client, player, message) {
-    // Implementation will depend on how doors are represented
-    // For now, just acknowledge the interaction
-    client.send("doorToggled", {
-      x: message.tileX,
-      y: message.tileY,
-      isOpen: true,
-    });
+    this.doorSystem.handleInteraction(client, player, message);
   }
 
   /**
@@ -460,32 +576,17 @@ export class NormalGameRoom extends BaseRoom {
    * @param {Object} message - Interaction message
    */
   handlePortalInteraction(client, player, message) {
-    // Teleport player to a different location
-    // For demonstration, just move them 10 tiles away
-    const newX = player.position.x + 10 * this.mapManager.tileSize;
-    const newY = player.position.y + 10 * this.mapManager.tileSize;
-
-    // Update player position
-    player.position.x = newX;
-    player.position.y = newY;
-
-    // Notify the player
-    client.send("teleported", {
-      x: newX,
-      y: newY,
-      message: "You've been teleported!",
-    });
+    this.portalSystem.handleInteraction(client, player, message);
+  }
 
-    // Notify other players
-    this.broadcast(
-      "playerMoved",
-      {
-        id: player.id,
-        x: newX,
-        y: newY,
-      },
-      { except: client }
-    );
+  /**
+   * Handle player interaction with an eliminated player's remains
+   * @param {Client} client - Client object
+   * @param {PlayerState} player - Player state
+   * @param {Object} message - Interaction message
+   */
+  handleRemainsInteraction(client, player, message) {
+    this.remainsSystem.handleInteraction(client, player, message);
   }
 
   checkAllPlayersMapLoaded() {
@@ -503,22 +604,32 @@ export class NormalGameRoom extends BaseRoom {
     // Process player inputs
     this.inputHandler.processAllInputs(deltaTime);
 
+    // Resolve knockback and push overlapping players apart
+    this.physicsSystem.update(deltaTime);
+
     // Update game systems based on current phase
     this.phaseManager.update(deltaTime);
 
     // Process collisions
     this.collisionSystem.update(deltaTime);
 
+    // Move projectiles and resolve their impacts
+    this.projectileSystem.update(deltaTime);
+
+    // Tick and expire status effects
+    this.statusEffectSystem.update(deltaTime);
+
+    // Stream followed players' positions to spectators
+    this.spectatorSystem.update(deltaTime);
+
+    // Tick active global event effects
+    this.eventManager.update(deltaTime);
+
     // Update leaderboard periodically
     if (this.state.gameStarted && Date.now() % 5000 < deltaTime) {
       this.leaderboardSystem.updateLeaderboard();
     }
 
-    // Trigger random events occasionally (roughly every 2 minutes)
-    if (this.state.gameStarted && Math.random() < deltaTime / (120 * 1000)) {
-      this.eventManager.triggerGlobalEvent();
-    }
-
     // Specific updates for the dungeon phase
     if (this.state.phase === this.phaseManager.PHASES.DUNGEON) {
       this.updateDungeonPhase(deltaTime);
@@ -528,6 +639,11 @@ export class NormalGameRoom extends BaseRoom {
     if (this.state.phase === this.phaseManager.PHASES.GAUNTLET) {
       this.updateGauntletPhase(deltaTime);
     }
+
+    // Specific updates for the final showdown
+    if (this.state.phase === this.phaseManager.PHASES.SHOWDOWN) {
+      this.updateShowdownPhase(deltaTime);
+    }
   }
 
   /**
@@ -551,8 +667,17 @@ export class NormalGameRoom extends BaseRoom {
       }
     }
 
-    // Spawn monsters or handle other dungeon-specific logic
-    // ...
+    // Run monster behaviour
+    this.monsterSystem.update(deltaTime);
+
+    // Collect props players walked over
+    this.pickupSystem.update(deltaTime);
+
+    // Track rooms players have reached for objectives
+    this.objectiveSystem.update(deltaTime);
+
+    // Drop anyone standing on collapsed floor
+    this.floorCollapseSystem.update(deltaTime);
   }
 
   /**
@@ -564,6 +689,15 @@ export class NormalGameRoom extends BaseRoom {
     // ...
   }
 
+  /**
+   * Special updates for the final showdown
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  updateShowdownPhase(deltaTime) {
+    // Players who step onto the shrinking edge fall out of the arena
+    this.floorCollapseSystem.update(deltaTime);
+  }
+
   onDispose() {
     console.log(`Room ${this.roomId} disposing...`);
     super.onDispose();
@@ -0,0 +1,29 @@
+// server/schemas/DoorState.js
+import { Schema, defineTypes } from "@colyseus/schema";
+
+export class DoorState extends Schema {
+  constructor() {
+    super();
+    this.id = "";
+    this.x = 0; // Top-left tile X
+    this.y = 0; // Top-left tile Y
+    this.width = 1; // Size in tiles
+    this.height = 1;
+    this.orientation = "horizontal"; // horizontal or vertical
+    this.isOpen = false;
+    this.isLocked = false;
+    this.lockType = ""; // Key needed to unlock: gold, silver or empty
+  }
+}
+
+defineTypes(DoorState, {
+  id: "string",
+  x: "number",
+  y: "number",
+  width: "number",
+  height: "number",
+  orientation: "string",
+  isOpen: "boolean",
+  isLocked: "boolean",
+  lockType: "string",
+});
@@ -1,12 +1,21 @@
 // server/schemas/GameRoomState.js
 import { Schema, type, MapSchema, ArraySchema, schema, defineTypes } from "@colyseus/schema";
 import { PlayerState } from "./PlayerState.js";
+import { MonsterState } from "./MonsterState.js";
+import { DoorState } from "./DoorState.js";
+import { RemainsState } from "./RemainsState.js";
 
 export class GameRoomState extends Schema {
   constructor() {
     super();
     // Map of all players by client ID
     this.players = new MapSchema();
+    // Map of all live monsters on the current floor by monster ID
+    this.monsters = new MapSchema();
+    // Map of doors on the current floor by door ID
+    this.doors = new MapSchema();
+    // Map of lootable remains of eliminated players by remains ID
+    this.remains = new MapSchema();
     // Game state
     this.gameStarted = false;
     this.gameEnded = false;
@@ -15,6 +24,8 @@ export class GameRoomState extends Schema {
     this.winner = null;
     this.leaderboard = new ArraySchema();
     this.globalEvents = new ArraySchema();
+    this.visionRadius = 0; // Client vision limit in pixels, 0 for unlimited (darkness event)
+    this.priceMultiplier = 1; // Scales shop prices (shop_discount event)
     this.phase = "lobby"; // Current game phase: lobby, dungeon, gauntlet, results
     this.phaseEndTime = 0; // Timestamp when current phase ends
   }
@@ -22,6 +33,9 @@ export class GameRoomState extends Schema {
 
 defineTypes(GameRoomState, {
   players: { map: PlayerState },
+  monsters: { map: MonsterState },
+  doors: { map: DoorState },
+  remains: { map: RemainsState },
   gameStarted: "boolean",
   gameEnded: "boolean",
   timeRemaining: "number",
@@ -29,6 +43,8 @@ defineTypes(GameRoomState, {
   winner: "string",
   leaderboard: ["string"],
   globalEvents: ["string"],
+  visionRadius: "number",
+  priceMultiplier: "number",
   phase: "string",
   phaseEndTime: "number"
 });
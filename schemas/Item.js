@@ -1,5 +1,5 @@
 // server/schemas/Item.js
-import { Schema, defineTypes, type } from "@colyseus/schema";
+import { Schema, MapSchema, defineTypes, type } from "@colyseus/schema";
 
 export class Item extends Schema {
   constructor() {
@@ -8,7 +8,8 @@ export class Item extends Schema {
     this.name = "";
     this.type = "";
     this.rarity = "";
-    this.stats = {};
+    this.stats = new MapSchema(); // Stat name -> bonus, applied while equipped
+    this.ability = ""; // Ability granted while equipped, empty for none
   }
 }
 
@@ -17,5 +18,6 @@ defineTypes(Item, {
   name: "string",
   type: "string",
   rarity: "string",
-  stats: "object"
+  stats: { map: "number" },
+  ability: "string"
 });
\ No newline at end of file
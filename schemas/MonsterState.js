@@ -0,0 +1,38 @@
+// server/schemas/MonsterState.js
+import { Schema, defineTypes } from "@colyseus/schema";
+import { Position } from "./Position.js";
+import { StatsSchema } from "./StatsSchema.js";
+
+export class MonsterState extends Schema {
+  constructor() {
+    super();
+    this.id = "";
+    this.type = ""; // Monster type name (e.g. "Skeleton")
+    this.typeId = 0; // MonsterType enum value from the generator
+    this.position = new Position();
+    this.stats = new StatsSchema(); // Health, damage, defense, crit
+    this.moveSpeed = 0;
+    this.isAlive = true;
+    this.state = "idle"; // AI state: idle, patrol, aggro, chase, attack, leash
+    this.ownerId = ""; // Player who summoned this monster, empty for wild monsters
+
+    // These are not synchronized - server side only
+    this.radius = 20;
+    this.spawnTileX = 0;
+    this.spawnTileY = 0;
+    this.homeRoom = null; // Room the monster spawned in (tile rectangle)
+    this.ai = null; // AI memory, created by MonsterAI
+  }
+}
+
+defineTypes(MonsterState, {
+  id: "string",
+  type: "string",
+  typeId: "number",
+  position: Position,
+  stats: StatsSchema,
+  moveSpeed: "number",
+  isAlive: "boolean",
+  state: "string",
+  ownerId: "string",
+});
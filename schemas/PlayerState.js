@@ -1,12 +1,13 @@
 // server/schemas/PlayerState.js
-import { Schema, ArraySchema, defineTypes } from "@colyseus/schema";
+import { Schema, ArraySchema, MapSchema, defineTypes } from "@colyseus/schema";
 import { Position } from "./Position.js";
 import { Item } from "./Item.js";
 import { Ability } from "./Ability.js";
 import { StatsSchema } from "./StatsSchema.js";
+import { StatusEffect } from "./StatusEffect.js";
 
 // Create a simple schema for dash charges
-class DashCharge extends Schema {
+export class DashCharge extends Schema {
   constructor() {
     super();
     this.available = true;
@@ -27,10 +28,16 @@ export class PlayerState extends Schema {
     this.ready = false;
     this.position = new Position();
     this.stats = new StatsSchema(); // Nested schema for most stats
-    this.items = new ArraySchema();
+    this.items = new ArraySchema(); // Backpack, limited by inventory capacity
+    this.equipment = new MapSchema(); // Slot (weapon, armor, trinket) -> equipped Item
+    this.gold = 0;
     this.abilities = new ArraySchema();
     this.currentProgress = 0;
     this.isAlive = true;
+    this.onFloor = true; // False after falling through a collapsed floor, until the next floor
+    this.isSpectator = false; // Eliminated players keep watching the match
+    this.spectatingId = ""; // Player being followed, empty for the free camera
+    this.statusEffects = new MapSchema(); // Effect ID -> active StatusEffect
     this.completedObjectives = new ArraySchema();
     this.joinTime = Date.now();
     this.lastMoveTime = 0;
@@ -40,6 +47,10 @@ export class PlayerState extends Schema {
     
     // Dash properties - use the proper DashCharge schema
     this.dashCharges = new ArraySchema();
+    this.dashDistance = 120; // pixels, raised by boons
+    this.dashCooldown = 3.0; // seconds per charge, lowered by boons
+
+    this.boons = new ArraySchema(); // IDs of chosen boons, one entry per stack
     
     // Initialize with one dash charge
     this.dashCharges.push(new DashCharge());
@@ -64,14 +75,23 @@ defineTypes(PlayerState, {
   position: Position,
   stats: StatsSchema,
   items: [Item],
+  equipment: { map: Item },
+  gold: "number",
   abilities: [Ability],
   currentProgress: "number",
   isAlive: "boolean",
+  onFloor: "boolean",
+  isSpectator: "boolean",
+  spectatingId: "string",
+  statusEffects: { map: StatusEffect },
   completedObjectives: ["string"],
   joinTime: "number",
   lastMoveTime: "number",
   moveSpeed: "number",
   mapLoaded: "boolean",
   dashCharges: [DashCharge], // Use the DashCharge schema as the type
+  dashDistance: "number",
+  dashCooldown: "number",
+  boons: ["string"],
   // gauntletId is removed from the schema but still exists as a property
 });
\ No newline at end of file
@@ -0,0 +1,28 @@
+// server/schemas/RemainsState.js
+import { Schema, ArraySchema, defineTypes } from "@colyseus/schema";
+import { Item } from "./Item.js";
+
+export class RemainsState extends Schema {
+  constructor() {
+    super();
+    this.id = "";
+    this.ownerId = ""; // Eliminated player
+    this.ownerName = "";
+    this.killerId = ""; // Player or monster that made the kill, empty for the environment
+    this.x = 0; // World position in pixels
+    this.y = 0;
+    this.items = new ArraySchema(); // Backpack items left behind
+    this.gold = 0;
+  }
+}
+
+defineTypes(RemainsState, {
+  id: "string",
+  ownerId: "string",
+  ownerName: "string",
+  killerId: "string",
+  x: "number",
+  y: "number",
+  items: [Item],
+  gold: "number",
+});
@@ -6,6 +6,8 @@ export class StatsSchema extends Schema {
     super();
     this.health = 100;
     this.maxHealth = 100;
+    this.mana = 100;
+    this.maxMana = 100;
     this.level = 1;
     this.experience = 0;
     this.damage = 10;
@@ -18,6 +20,8 @@ export class StatsSchema extends Schema {
 defineTypes(StatsSchema, {
   health: "number",
   maxHealth: "number",
+  mana: "number",
+  maxMana: "number",
   level: "number",
   experience: "number",
   damage: "number",
@@ -0,0 +1,23 @@
+// server/schemas/StatusEffect.js
+import { Schema, defineTypes } from "@colyseus/schema";
+
+export class StatusEffect extends Schema {
+  constructor() {
+    super();
+    this.id = ""; // StatusEffectCatalog ID
+    this.sourceId = ""; // Player or monster that applied it, empty for the environment
+    this.stacks = 1;
+    this.value = 0; // Effect-specific amount, e.g. remaining shield
+    this.duration = 0; // Total duration in ms
+    this.endsAt = 0; // Timestamp when the effect wears off, for client timers
+  }
+}
+
+defineTypes(StatusEffect, {
+  id: "string",
+  sourceId: "string",
+  stacks: "number",
+  value: "number",
+  duration: "number",
+  endsAt: "number"
+});
@@ -0,0 +1,69 @@
+// server/systems/AbilityCatalog.js
+
+/**
+ * Abilities players can be granted through boons or items
+ */
+
+/**
+ * Ability fields:
+ * - name: shown on the client's ability bar
+ * - cooldown: seconds between uses
+ * - effect: effect handler registered in AbilitySystem
+ * - params: effect-specific settings, kept on the server
+ *
+ * Effects and their params:
+ * - heal: amount
+ * - aoe_damage: radius, damage, scaling (fraction of the caster's damage stat added)
+ * - shield: amount, duration (seconds)
+ * - blink: distance (pixels, towards the message direction)
+ * - projectile: speed (pixels per second), range, radius, damage, scaling,
+ *   statusEffect ({ id, duration } applied on hit, optional)
+ * - summon: monsterType (MonsterType name), count, duration (seconds)
+ */
+export const ABILITY_CATALOG = {
+  mend: {
+    id: "mend",
+    name: "Mend",
+    cooldown: 20,
+    effect: "heal",
+    params: { amount: 40 },
+  },
+  shockwave: {
+    id: "shockwave",
+    name: "Shockwave",
+    cooldown: 12,
+    effect: "aoe_damage",
+    params: { radius: 160, damage: 15, scaling: 0.5 },
+  },
+  stone_skin: {
+    id: "stone_skin",
+    name: "Stone Skin",
+    cooldown: 25,
+    effect: "shield",
+    params: { amount: 50, duration: 6 },
+  },
+  shadow_step: {
+    id: "shadow_step",
+    name: "Shadow Step",
+    cooldown: 10,
+    effect: "blink",
+    params: { distance: 320 },
+  },
+  fire_bolt: {
+    id: "fire_bolt",
+    name: "Fire Bolt",
+    cooldown: 6,
+    effect: "projectile",
+    params: {
+      speed: 640, range: 640, radius: 10, damage: 12, scaling: 0.6,
+      statusEffect: { id: "burn", duration: 3 },
+    },
+  },
+  call_of_the_pack: {
+    id: "call_of_the_pack",
+    name: "Call of the Pack",
+    cooldown: 45,
+    effect: "summon",
+    params: { monsterType: "Wolf", count: 2, duration: 20 },
+  },
+};
@@ -0,0 +1,402 @@
+// server/systems/AbilitySystem.js
+import { Ability } from "../schemas/Ability.js";
+import { MonsterType } from "../dungeonGenerator/types.js";
+import { ABILITY_CATALOG } from "./AbilityCatalog.js";
+
+/**
+ * AbilitySystem - Validates ability use, tracks cooldowns and runs effects
+ *
+ * Effects are looked up by the Ability schema's `effect` field in a handler
+ * registry. Handlers receive (player, ability, params, message) and return an
+ * object that is merged into the client's acknowledgment, or null to reject.
+ */
+export class AbilitySystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.cooldowns = new Map(); // Map of player ID to Map of ability ID to ready time (clock ms)
+    this.summons = new Map(); // Map of summon ID to despawn timer
+    this.summonCounter = 0;
+
+    this.effects = new Map();
+    this.registerEffect("heal", (...args) => this.heal(...args));
+    this.registerEffect("aoe_damage", (...args) => this.aoeDamage(...args));
+    this.registerEffect("shield", (...args) => this.shield(...args));
+    this.registerEffect("blink", (...args) => this.blink(...args));
+    this.registerEffect("projectile", (...args) => this.projectile(...args));
+    this.registerEffect("summon", (...args) => this.summon(...args));
+  }
+
+  /**
+   * Register an effect handler
+   * @param {string} effect - Effect name used by Ability.effect
+   * @param {Function} handler - (player, ability, params, message) => result or null
+   */
+  registerEffect(effect, handler) {
+    this.effects.set(effect, handler);
+  }
+
+  registerHandlers() {
+    // Handle ability activation
+    this.room.onMessage("useAbility", (client, message) => {
+      this.handleUseAbility(client, message || {});
+    });
+  }
+
+  /**
+   * Give a player an ability from the catalog
+   * @param {PlayerState} player - Player receiving the ability
+   * @param {string} abilityId - AbilityCatalog ID
+   * @returns {boolean} - True if the ability was added
+   */
+  grantAbility(player, abilityId) {
+    const definition = ABILITY_CATALOG[abilityId];
+    if (!definition) {
+      console.warn(`Unknown ability: ${abilityId}`);
+      return false;
+    }
+
+    if (this.getAbility(player, abilityId)) return false;
+
+    const ability = new Ability();
+    ability.id = definition.id;
+    ability.name = definition.name;
+    ability.cooldown = definition.cooldown;
+    ability.effect = definition.effect;
+    player.abilities.push(ability);
+
+    const client = this.getClient(player.id);
+    if (client) {
+      client.send("abilityGranted", {
+        id: ability.id,
+        name: ability.name,
+        cooldown: ability.cooldown,
+        effect: ability.effect,
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Take an ability away from a player
+   * @param {PlayerState} player - Player losing the ability
+   * @param {string} abilityId - AbilityCatalog ID
+   */
+  revokeAbility(player, abilityId) {
+    const index = player.abilities.findIndex((ability) => ability.id === abilityId);
+    if (index === -1) return;
+
+    player.abilities.splice(index, 1);
+
+    const client = this.getClient(player.id);
+    if (client) {
+      client.send("abilityRevoked", { id: abilityId });
+    }
+  }
+
+  getAbility(player, abilityId) {
+    return player.abilities.find((ability) => ability.id === abilityId);
+  }
+
+  /**
+   * Handle an ability activation from a client
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { abilityId, direction: {x, y}, seq }
+   */
+  handleUseAbility(client, message) {
+    const player = this.room.state.players.get(client.id);
+    if (!player || !player.isAlive || !player.onFloor || !this.room.state.gameStarted) return;
+
+    const reject = (reason, extra = {}) => {
+      client.send("abilityRejected", {
+        seq: message.seq,
+        abilityId: message.abilityId,
+        reason,
+        ...extra,
+      });
+    };
+
+    if (!this.room.statusEffectSystem.canAct(player)) {
+      reject("stunned");
+      return;
+    }
+
+    const ability = this.getAbility(player, message.abilityId);
+    if (!ability) {
+      reject("notOwned");
+      return;
+    }
+
+    const now = this.room.clock.currentTime;
+    const readyAt = this.getReadyTime(player.id, ability.id);
+    if (now < readyAt) {
+      reject("cooldown", { readyIn: (readyAt - now) / 1000 });
+      return;
+    }
+
+    const handler = this.effects.get(ability.effect);
+    if (!handler) {
+      console.warn(`No effect handler registered for ${ability.effect}`);
+      reject("unknownEffect");
+      return;
+    }
+
+    const definition = ABILITY_CATALOG[ability.id];
+    const result = handler(player, ability, definition ? definition.params : {}, message);
+    if (!result) {
+      reject("noEffect");
+      return;
+    }
+
+    this.setReadyTime(player.id, ability.id, now + ability.cooldown * 1000);
+
+    // Let other clients play the ability effect
+    this.room.broadcast(
+      "abilityUsed",
+      {
+        id: player.id,
+        abilityId: ability.id,
+        effect: ability.effect,
+        x: player.position.x,
+        y: player.position.y,
+        seq: message.seq,
+      },
+      { except: client }
+    );
+
+    client.send("abilityAck", {
+      seq: message.seq,
+      abilityId: ability.id,
+      cooldown: ability.cooldown,
+      ...result,
+    });
+  }
+
+  getReadyTime(playerId, abilityId) {
+    const playerCooldowns = this.cooldowns.get(playerId);
+    return playerCooldowns ? playerCooldowns.get(abilityId) || 0 : 0;
+  }
+
+  setReadyTime(playerId, abilityId, readyAt) {
+    if (!this.cooldowns.has(playerId)) {
+      this.cooldowns.set(playerId, new Map());
+    }
+    this.cooldowns.get(playerId).set(abilityId, readyAt);
+  }
+
+  /**
+   * Restore the caster's health
+   */
+  heal(player, ability, { amount }) {
+    const stats = player.stats;
+    if (stats.health >= stats.maxHealth) return null;
+
+    const healed = Math.min(amount, stats.maxHealth - stats.health);
+    stats.health += healed;
+
+    this.room.broadcast("playerHealed", {
+      id: player.id,
+      amount: healed,
+      health: stats.health,
+      maxHealth: stats.maxHealth,
+      source: ability.id,
+    });
+
+    return { healed };
+  }
+
+  /**
+   * Damage every valid target around the caster
+   */
+  aoeDamage(player, ability, { radius, damage, scaling = 0 }) {
+    const combat = this.room.combatSystem;
+    const targets = combat.findTargetsInRadius(
+      player,
+      player.position.x,
+      player.position.y,
+      radius
+    );
+
+    // Roll with the ability's damage but the caster's crit stats
+    const attackerStats = {
+      damage: damage + player.stats.damage * scaling,
+      critChance: player.stats.critChance,
+      critMultiplier: player.stats.critMultiplier,
+    };
+
+    const hits = targets.map((target) => {
+      const { amount, isCrit } = combat.rollDamage(attackerStats, target.stats);
+      const result = combat.applyDamage(target, amount, {
+        attacker: player,
+        isCrit,
+        source: ability.id,
+      });
+
+      if (!result.killed) {
+        this.room.physicsSystem.applyHitImpulse(target, player.position.x, player.position.y);
+      }
+
+      return { targetId: target.id, ...result, isCrit };
+    });
+
+    return { radius, hits };
+  }
+
+  /**
+   * Give the caster a temporary damage-absorbing shield
+   */
+  shield(player, ability, { amount, duration }) {
+    // A stronger shield replaces a weaker one, either way the expiry is refreshed
+    const effect = this.room.statusEffectSystem.apply(player, "shield", {
+      sourceId: player.id,
+      duration,
+      value: amount,
+    });
+    if (!effect) return null;
+
+    return { shield: effect.value, duration };
+  }
+
+  /**
+   * Fire a projectile in the message direction
+   */
+  projectile(player, ability, { speed, range, radius, damage, scaling = 0, statusEffect }, message) {
+    const direction = this.room.combatSystem.normalizeDirection(message.direction);
+
+    // Roll with the ability's damage but the caster's crit stats
+    const projectile = this.room.projectileSystem.spawn(player, {
+      direction,
+      speed,
+      range,
+      radius,
+      source: ability.id,
+      statusEffect,
+      stats: {
+        damage: damage + player.stats.damage * scaling,
+        critChance: player.stats.critChance,
+        critMultiplier: player.stats.critMultiplier,
+      },
+    });
+    if (!projectile) return null;
+
+    return { projectileId: projectile.id };
+  }
+
+  /**
+   * Teleport the caster in a direction, stopping before walls
+   */
+  blink(player, ability, { distance }, message) {
+    const direction = this.room.combatSystem.normalizeDirection(message.direction);
+    const collisionSystem = this.room.collisionSystem;
+    const startX = player.position.x;
+    const startY = player.position.y;
+
+    // Walk back from the full distance until the landing spot is clear and in sight
+    const steps = 16;
+    for (let i = steps; i > 0; i--) {
+      const x = startX + direction.x * distance * (i / steps);
+      const y = startY + direction.y * distance * (i / steps);
+
+      if (
+        collisionSystem &&
+        (collisionSystem.checkCollision(x, y) ||
+          !collisionSystem.hasLineOfSight(startX, startY, x, y))
+      ) {
+        continue;
+      }
+
+      player.position.x = x;
+      player.position.y = y;
+
+      this.room.broadcast("playerBlinked", {
+        id: player.id,
+        startX,
+        startY,
+        endX: x,
+        endY: y,
+      });
+
+      return { x, y };
+    }
+
+    return null;
+  }
+
+  /**
+   * Summon temporary monsters that fight for the caster
+   */
+  summon(player, ability, { monsterType, count, duration }) {
+    const typeId = MonsterType[monsterType];
+    const mapData = this.room.mapManager.currentMap;
+    const tileSize = this.room.collisionSystem.tileSize;
+    const tileX = Math.floor(player.position.x / tileSize);
+    const tileY = Math.floor(player.position.y / tileSize);
+
+    const summoned = [];
+    const usedTiles = new Set();
+
+    for (let i = 0; i < count; i++) {
+      // Spread summons over free tiles next to the caster, on the caster's side of any wall
+      const pathfinding = this.room.pathfindingSystem;
+      const tile = pathfinding.findNearestWalkable(
+        tileX,
+        tileY,
+        3,
+        (x, y) => !usedTiles.has(`${x},${y}`) && pathfinding.canReach(tileX, tileY, x, y)
+      );
+      if (!tile) break;
+      usedTiles.add(`${tile.x},${tile.y}`);
+
+      const monster = this.room.monsterSystem.spawnMonster(
+        typeId,
+        tile.x,
+        tile.y,
+        mapData,
+        { id: `summon_${player.id}_${++this.summonCounter}`, ownerId: player.id }
+      );
+      if (!monster) break;
+
+      const monsterId = monster.id;
+      this.summons.set(
+        monsterId,
+        this.room.clock.setTimeout(() => {
+          this.summons.delete(monsterId);
+          this.room.monsterSystem.despawnMonster(monsterId, "expired");
+        }, duration * 1000)
+      );
+
+      summoned.push(monsterId);
+    }
+
+    if (summoned.length === 0) return null;
+
+    return { summoned, duration };
+  }
+
+  /**
+   * Remove per-player tracking when a player leaves
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.cooldowns.delete(playerId);
+
+    // Summons leave with their owner
+    const ownedIds = [];
+    this.room.state.monsters.forEach((monster) => {
+      if (monster.ownerId === playerId) ownedIds.push(monster.id);
+    });
+
+    for (const monsterId of ownedIds) {
+      const timer = this.summons.get(monsterId);
+      if (timer) timer.clear();
+      this.summons.delete(monsterId);
+      this.room.monsterSystem.despawnMonster(monsterId, "ownerLeft");
+    }
+  }
+
+  getClient(playerId) {
+    return this.room.clients.find((c) => c.id === playerId);
+  }
+}
@@ -0,0 +1,188 @@
+// server/systems/BoonCatalog.js
+
+/**
+ * Boons offered to players when they level up
+ */
+
+/**
+ * Boon fields:
+ * - name / description: shown on the client's choice screen
+ * - rarity: common, rare or epic (display only)
+ * - weight: relative chance of being offered
+ * - maxStacks: how many times a player can take this boon
+ * - modifiers: changes applied when the boon is chosen
+ * - ability: optional AbilityCatalog ID granted when the boon is chosen
+ *
+ * Modifier stats:
+ * - StatsSchema fields: maxHealth, damage, defense, critChance, critMultiplier
+ * - PlayerState fields: moveSpeed, dashDistance, dashCooldown, dashCharges
+ *
+ * Each modifier either adds a flat amount ("add") or scales the current
+ * value ("multiply").
+ */
+export const BOON_CATALOG = {
+  // Common boons
+  vitality: {
+    id: "vitality",
+    name: "Vitality",
+    description: "+20 max health",
+    rarity: "common",
+    weight: 10,
+    maxStacks: 5,
+    modifiers: [{ stat: "maxHealth", add: 20 }],
+  },
+  sharpened_blade: {
+    id: "sharpened_blade",
+    name: "Sharpened Blade",
+    description: "+3 damage",
+    rarity: "common",
+    weight: 10,
+    maxStacks: 5,
+    modifiers: [{ stat: "damage", add: 3 }],
+  },
+  thick_skin: {
+    id: "thick_skin",
+    name: "Thick Skin",
+    description: "+4 defense",
+    rarity: "common",
+    weight: 10,
+    maxStacks: 5,
+    modifiers: [{ stat: "defense", add: 4 }],
+  },
+  fleet_footed: {
+    id: "fleet_footed",
+    name: "Fleet Footed",
+    description: "+10% move speed",
+    rarity: "common",
+    weight: 8,
+    maxStacks: 3,
+    modifiers: [{ stat: "moveSpeed", multiply: 1.1 }],
+  },
+
+  // Rare boons
+  keen_eye: {
+    id: "keen_eye",
+    name: "Keen Eye",
+    description: "+5% critical hit chance",
+    rarity: "rare",
+    weight: 5,
+    maxStacks: 4,
+    modifiers: [{ stat: "critChance", add: 0.05 }],
+  },
+  brutality: {
+    id: "brutality",
+    name: "Brutality",
+    description: "+25% critical hit damage",
+    rarity: "rare",
+    weight: 5,
+    maxStacks: 4,
+    modifiers: [{ stat: "critMultiplier", add: 0.25 }],
+  },
+  long_stride: {
+    id: "long_stride",
+    name: "Long Stride",
+    description: "+30% dash distance",
+    rarity: "rare",
+    weight: 5,
+    maxStacks: 2,
+    modifiers: [{ stat: "dashDistance", multiply: 1.3 }],
+  },
+  quick_recovery: {
+    id: "quick_recovery",
+    name: "Quick Recovery",
+    description: "-20% dash cooldown",
+    rarity: "rare",
+    weight: 5,
+    maxStacks: 3,
+    modifiers: [{ stat: "dashCooldown", multiply: 0.8 }],
+  },
+
+  // Epic boons
+  extra_dash: {
+    id: "extra_dash",
+    name: "Second Wind",
+    description: "+1 dash charge",
+    rarity: "epic",
+    weight: 2,
+    maxStacks: 1,
+    modifiers: [{ stat: "dashCharges", add: 1 }],
+  },
+  juggernaut: {
+    id: "juggernaut",
+    name: "Juggernaut",
+    description: "+50 max health and +6 defense, -10% move speed",
+    rarity: "epic",
+    weight: 2,
+    maxStacks: 1,
+    modifiers: [
+      { stat: "maxHealth", add: 50 },
+      { stat: "defense", add: 6 },
+      { stat: "moveSpeed", multiply: 0.9 },
+    ],
+  },
+  berserker: {
+    id: "berserker",
+    name: "Berserker",
+    description: "+8 damage and +10% crit chance, -4 defense",
+    rarity: "epic",
+    weight: 2,
+    maxStacks: 1,
+    modifiers: [
+      { stat: "damage", add: 8 },
+      { stat: "critChance", add: 0.1 },
+      { stat: "defense", add: -4 },
+    ],
+  },
+
+  // Ability boons
+  restoration: {
+    id: "restoration",
+    name: "Restoration",
+    description: "Gain the Mend ability",
+    rarity: "rare",
+    weight: 3,
+    maxStacks: 1,
+    modifiers: [],
+    ability: "mend",
+  },
+  earthshaker: {
+    id: "earthshaker",
+    name: "Earthshaker",
+    description: "Gain the Shockwave ability",
+    rarity: "rare",
+    weight: 3,
+    maxStacks: 1,
+    modifiers: [],
+    ability: "shockwave",
+  },
+  bulwark: {
+    id: "bulwark",
+    name: "Bulwark",
+    description: "Gain the Stone Skin ability",
+    rarity: "rare",
+    weight: 3,
+    maxStacks: 1,
+    modifiers: [],
+    ability: "stone_skin",
+  },
+  phase_walker: {
+    id: "phase_walker",
+    name: "Phase Walker",
+    description: "Gain the Shadow Step ability",
+    rarity: "epic",
+    weight: 2,
+    maxStacks: 1,
+    modifiers: [],
+    ability: "shadow_step",
+  },
+  beastmaster: {
+    id: "beastmaster",
+    name: "Beastmaster",
+    description: "Gain the Call of the Pack ability",
+    rarity: "epic",
+    weight: 1,
+    maxStacks: 1,
+    modifiers: [],
+    ability: "call_of_the_pack",
+  },
+};
@@ -0,0 +1,205 @@
+// server/systems/BoonSystem.js
+import { BOON_CATALOG } from "./BoonCatalog.js";
+import { DashCharge } from "../schemas/PlayerState.js";
+import { randomWeights } from "../dungeonGenerator/utils.js";
+
+/**
+ * BoonSystem - Offers boon choices on level-up and applies the chosen boon
+ */
+export class BoonSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.choiceCount = 3; // Boons offered per level-up
+    this.choiceTimeout = 15; // seconds before the first choice is picked automatically
+
+    // Map of player ID to { choices, timeout, queued }
+    this.pendingOffers = new Map();
+  }
+
+  registerHandlers() {
+    // Handle boon choice from the level-up screen
+    this.room.onMessage("chooseBoon", (client, message) => {
+      this.handleChooseBoon(client, message || {});
+    });
+  }
+
+  /**
+   * Offer a player a set of boon choices
+   * @param {PlayerState} player - Player who levelled up
+   */
+  offerBoons(player) {
+    // Only one choice screen at a time, further level-ups wait their turn
+    const pending = this.pendingOffers.get(player.id);
+    if (pending) {
+      pending.queued++;
+      return;
+    }
+
+    const choices = this.rollChoices(player);
+    if (choices.length === 0) return;
+
+    const timeout = this.room.clock.setTimeout(() => {
+      // Fall back to the first offered boon
+      this.resolveOffer(player.id, choices[0]);
+    }, this.choiceTimeout * 1000);
+
+    this.pendingOffers.set(player.id, { choices, timeout, queued: 0 });
+
+    const client = this.getClient(player.id);
+    if (client) {
+      client.send("boonChoices", {
+        level: player.stats.level,
+        timeout: this.choiceTimeout,
+        choices: choices.map((id) => {
+          const { name, description, rarity } = BOON_CATALOG[id];
+          return { id, name, description, rarity };
+        }),
+      });
+    }
+  }
+
+  /**
+   * Draw weighted boon choices without repeats, skipping maxed boons
+   * @param {PlayerState} player - Player to roll for
+   * @returns {Array} - Boon IDs
+   */
+  rollChoices(player) {
+    const available = Object.values(BOON_CATALOG).filter(
+      (boon) => this.getStacks(player, boon.id) < boon.maxStacks
+    );
+    const choices = [];
+
+    while (choices.length < this.choiceCount && available.length > 0) {
+      const totalWeight = available.reduce((sum, boon) => sum + boon.weight, 0);
+
+      // randomWeights expects weights that add up to 1
+      const index = randomWeights(
+        available.map((boon) => boon.weight / totalWeight),
+        available.map((boon, i) => i)
+      );
+
+      choices.push(available[index].id);
+      available.splice(index, 1);
+    }
+
+    return choices;
+  }
+
+  /**
+   * Handle a boon choice from a client
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { boonId }
+   */
+  handleChooseBoon(client, message) {
+    const pending = this.pendingOffers.get(client.id);
+    if (!pending || !pending.choices.includes(message.boonId)) {
+      client.send("boonRejected", {
+        boonId: message.boonId,
+        reason: pending ? "notOffered" : "noPendingChoice",
+      });
+      return;
+    }
+
+    this.resolveOffer(client.id, message.boonId);
+  }
+
+  /**
+   * Apply the picked boon and move on to the next queued offer
+   * @param {string} playerId - Player ID
+   * @param {string} boonId - Chosen boon ID
+   */
+  resolveOffer(playerId, boonId) {
+    const pending = this.pendingOffers.get(playerId);
+    if (!pending) return;
+
+    pending.timeout.clear();
+    this.pendingOffers.delete(playerId);
+
+    const player = this.room.state.players.get(playerId);
+    if (!player) return;
+
+    this.applyBoon(player, boonId);
+
+    for (let i = 0; i < pending.queued; i++) {
+      this.offerBoons(player);
+    }
+  }
+
+  /**
+   * Apply a boon's modifiers to a player
+   * @param {PlayerState} player - Player receiving the boon
+   * @param {string} boonId - Boon ID
+   */
+  applyBoon(player, boonId) {
+    const boon = BOON_CATALOG[boonId];
+    if (!boon) return;
+
+    player.boons.push(boonId);
+
+    // Stat modifiers are folded in by the stats recalculation
+    for (const modifier of boon.modifiers) {
+      if (modifier.stat === "dashCharges") {
+        this.addDashCharges(player, modifier.add || 0);
+      }
+    }
+    this.room.statsSystem.recalculate(player);
+
+    if (boon.ability) {
+      this.room.abilitySystem.grantAbility(player, boon.ability);
+    }
+
+    console.log(`Player ${player.name} chose boon ${boon.name}`);
+
+    const client = this.getClient(player.id);
+    if (client) {
+      client.send("boonApplied", {
+        boonId,
+        stats: {
+          health: player.stats.health,
+          maxHealth: player.stats.maxHealth,
+          damage: player.stats.damage,
+          defense: player.stats.defense,
+          critChance: player.stats.critChance,
+          critMultiplier: player.stats.critMultiplier,
+        },
+        moveSpeed: player.moveSpeed,
+        dashDistance: player.dashDistance,
+        dashCooldown: player.dashCooldown,
+        dashCharges: player.dashCharges.length,
+      });
+    }
+  }
+
+  /**
+   * Give a player extra dash charges
+   * @param {PlayerState} player - Player receiving the charges
+   * @param {number} count - Number of charges to add
+   */
+  addDashCharges(player, count) {
+    for (let i = 0; i < count; i++) {
+      player.dashCharges.push(new DashCharge());
+    }
+  }
+
+  getStacks(player, boonId) {
+    return player.boons.filter((id) => id === boonId).length;
+  }
+
+  /**
+   * Drop a player's pending choice when they leave
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    const pending = this.pendingOffers.get(playerId);
+    if (pending) {
+      pending.timeout.clear();
+      this.pendingOffers.delete(playerId);
+    }
+  }
+
+  getClient(playerId) {
+    return this.room.clients.find((c) => c.id === playerId);
+  }
+}
@@ -37,6 +37,38 @@ export class CollisionSystem {
     }
     
     console.log(`Server collision map initialized: ${this.collisionMap.length}x${this.collisionMap[0].length}`);
+
+    // Cached routes belong to the previous floor
+    this.invalidatePaths();
+  }
+
+  /**
+   * Change whether a single tile blocks movement
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @param {boolean} solid - True if the tile should block movement
+   */
+  setTileCollision(tileX, tileY, solid) {
+    if (!this.collisionMap ||
+        tileY < 0 || tileY >= this.collisionMap.length ||
+        tileX < 0 || tileX >= this.collisionMap[tileY].length) {
+      return;
+    }
+
+    if (this.collisionMap[tileY][tileX] === solid) return;
+
+    this.collisionMap[tileY][tileX] = solid;
+
+    // Patch cached routes around the tile instead of dropping them all
+    if (this.room.pathfindingSystem) {
+      this.room.pathfindingSystem.updateTile(tileX, tileY);
+    }
+  }
+
+  invalidatePaths() {
+    if (this.room.pathfindingSystem) {
+      this.room.pathfindingSystem.invalidate();
+    }
   }
   
   /**
@@ -113,6 +145,42 @@ export class CollisionSystem {
     return { x: startX, y: startY };
   }
   
+  /**
+   * Check if a straight line between two points is free of walls
+   * @param {number} startX - Start X position
+   * @param {number} startY - Start Y position
+   * @param {number} endX - End X position
+   * @param {number} endY - End Y position
+   * @returns {boolean} - True if no wall tile lies on the line
+   */
+  hasLineOfSight(startX, startY, endX, endY) {
+    if (!this.collisionMap) return true;
+
+    const dx = endX - startX;
+    const dy = endY - startY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Sample the line at quarter-tile intervals
+    const steps = Math.max(1, Math.ceil(distance / (this.tileSize / 4)));
+
+    for (let i = 0; i <= steps; i++) {
+      const progress = i / steps;
+      const tileX = Math.floor((startX + dx * progress) / this.tileSize);
+      const tileY = Math.floor((startY + dy * progress) / this.tileSize);
+
+      if (tileX < 0 || tileX >= this.collisionMap[0].length ||
+          tileY < 0 || tileY >= this.collisionMap.length) {
+        return false;
+      }
+
+      if (this.collisionMap[tileY][tileX]) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Validate player movement against collision map
    * @param {Object} player - Player state object
@@ -0,0 +1,180 @@
+// server/systems/CombatLogSystem.js
+
+/**
+ * CombatLogSystem - Records who hit and killed whom over the match
+ *
+ * Every damage event is kept for the whole match so it can be summed up when
+ * the game ends and saved with each player's stats. Player eliminations also
+ * go to a kill feed, of which only the latest few are broadcast.
+ */
+export class CombatLogSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.feedSize = 5; // Kills sent with each kill feed update
+    this.entries = []; // Damage events in the order they happened
+    this.kills = []; // Player eliminations in the order they happened
+  }
+
+  /**
+   * Initialize the system with configuration
+   * @param {Object} config - { debug, feedSize }
+   */
+  init(config = {}) {
+    this.debug = config.debug || false;
+    this.feedSize = config.feedSize || this.feedSize;
+
+    return this;
+  }
+
+  /**
+   * Record a damage event
+   * @param {PlayerState|MonsterState} target - Entity that took the damage
+   * @param {Object} result - { damage, killed } from the damage that was applied
+   * @param {Object} context - { attacker, isCrit, source } the damage was applied with
+   */
+  recordDamage(target, result, context = {}) {
+    if (!target || result.damage <= 0) return;
+
+    const { attacker = null, isCrit = false, source = "player" } = context;
+
+    this.entries.push({
+      time: Date.now(),
+      attackerId: attacker ? attacker.id : null,
+      attackerName: attacker ? this.getName(attacker) : null,
+      victimId: target.id,
+      victimName: this.getName(target),
+      victimIsPlayer: this.isPlayer(target),
+      source: this.getSourceType(attacker, source),
+      cause: source,
+      amount: result.damage,
+      isCrit,
+      killed: result.killed,
+    });
+  }
+
+  /**
+   * Record a player elimination and update the kill feed
+   * @param {PlayerState} player - Player who was eliminated
+   * @param {Object} context - { attacker, source } the player died to
+   * @param {RemainsState} remains - Remains the player left behind, if any
+   */
+  recordKill(player, context = {}, remains = null) {
+    const { attacker = null, source = "player" } = context;
+
+    this.kills.push({
+      time: Date.now(),
+      killerId: attacker ? attacker.id : null,
+      killerName: attacker ? this.getName(attacker) : null,
+      victimId: player.id,
+      victimName: player.name,
+      source: this.getSourceType(attacker, source),
+      cause: source,
+      remainsId: remains ? remains.id : null,
+    });
+
+    this.room.broadcast("killFeed", { kills: this.kills.slice(-this.feedSize) });
+
+    this.debug &&
+      console.log(`Kill feed: ${player.name} eliminated by ${attacker ? this.getName(attacker) : source}`);
+  }
+
+  /**
+   * Classify where damage came from
+   * @param {Object} attacker - Attacking entity, if any
+   * @param {string} cause - Context source, e.g. "fall" or an ability ID
+   * @returns {string} - player, monster, fall or hazard
+   */
+  getSourceType(attacker, cause) {
+    if (attacker) {
+      return this.isPlayer(attacker) ? "player" : "monster";
+    }
+
+    return cause === "fall" ? "fall" : "hazard";
+  }
+
+  /**
+   * Sum up a player's part in the combat log
+   * @param {string} playerId - Player ID
+   * @returns {Object} - Totals and who eliminated the player, if anyone
+   */
+  getPlayerSummary(playerId) {
+    const summary = {
+      kills: 0,
+      deaths: 0,
+      monsterKills: 0,
+      damageDealt: 0,
+      damageTaken: 0,
+      crits: 0,
+      biggestHit: 0,
+      eliminatedBy: null,
+    };
+
+    this.entries.forEach((entry) => {
+      if (entry.attackerId === playerId) {
+        summary.damageDealt += entry.amount;
+        summary.biggestHit = Math.max(summary.biggestHit, entry.amount);
+        if (entry.isCrit) summary.crits++;
+        if (entry.killed && !entry.victimIsPlayer) summary.monsterKills++;
+      }
+
+      if (entry.victimId === playerId) {
+        summary.damageTaken += entry.amount;
+      }
+    });
+
+    this.kills.forEach((kill) => {
+      if (kill.killerId === playerId && kill.victimId !== playerId) {
+        summary.kills++;
+      }
+
+      if (kill.victimId === playerId) {
+        summary.deaths++;
+        summary.eliminatedBy = {
+          id: kill.killerId,
+          name: kill.killerName,
+          source: kill.source,
+          cause: kill.cause,
+        };
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Get the damage events a player took part in
+   * @param {string} playerId - Player ID
+   * @returns {Array} - Log entries where the player was attacker or victim
+   */
+  getPlayerEntries(playerId) {
+    return this.entries.filter(
+      (entry) => entry.attackerId === playerId || entry.victimId === playerId
+    );
+  }
+
+  /**
+   * Build the post-match summary
+   * @returns {Object} - { players: ID -> summary, kills }
+   */
+  getSummary() {
+    const playerIds = new Set(this.room.state.players.keys());
+    this.kills.forEach((kill) => playerIds.add(kill.victimId));
+
+    const players = {};
+    playerIds.forEach((id) => {
+      players[id] = this.getPlayerSummary(id);
+    });
+
+    return { players, kills: this.kills };
+  }
+
+  isPlayer(entity) {
+    return this.room.state.players.get(entity.id) === entity;
+  }
+
+  getName(entity) {
+    return entity.name || entity.type;
+  }
+}
@@ -0,0 +1,407 @@
+// server/systems/CombatSystem.js
+import { MonsterState } from "../schemas/MonsterState.js";
+
+/**
+ * CombatSystem - Server-authoritative attacks, damage and deaths
+ */
+export class CombatSystem {
+  constructor(room) {
+    this.room = room;
+    this.collisionSystem = null; // Reference to collision system
+    this.debug = false;
+
+    // Melee attack configuration
+    this.attackRange = 80; // pixels from attacker center to target edge
+    this.attackArc = Math.PI / 2; // 90 degree swing in front of the attacker
+    this.attackCooldown = 0.5; // seconds between attacks
+    this.minDamage = 1; // Every hit deals at least this much
+
+    this.lastAttackTimes = new Map(); // Map of player ID to last attack timestamp
+  }
+
+  /**
+   * Set the collision system reference
+   * @param {CollisionSystem} collisionSystem - Collision system instance
+   */
+  setCollisionSystem(collisionSystem) {
+    this.collisionSystem = collisionSystem;
+  }
+
+  registerHandlers() {
+    // Handle melee attack requests
+    this.room.onMessage("attack", (client, message) => {
+      this.handleAttack(client, message || {});
+    });
+  }
+
+  /**
+   * Handle an attack message from a client
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - Attack message ({ direction: {x, y}, seq })
+   */
+  handleAttack(client, message) {
+    const attacker = this.room.state.players.get(client.id);
+    if (!attacker || !attacker.isAlive || !attacker.onFloor) return;
+
+    // No fighting in the lobby or on the results screen
+    if (!this.room.state.gameStarted) return;
+
+    if (!this.room.statusEffectSystem.canAct(attacker)) {
+      client.send("attackRejected", { seq: message.seq, reason: "stunned" });
+      return;
+    }
+
+    // Enforce attack cooldown
+    const now = Date.now();
+    const lastAttack = this.lastAttackTimes.get(client.id) || 0;
+    if (now - lastAttack < this.attackCooldown * 1000) {
+      client.send("attackRejected", {
+        seq: message.seq,
+        reason: "cooldown",
+        readyAt: lastAttack + this.attackCooldown * 1000,
+      });
+      return;
+    }
+    this.lastAttackTimes.set(client.id, now);
+
+    const direction = this.normalizeDirection(message.direction);
+
+    // Let other clients play the swing animation
+    this.room.broadcast(
+      "playerAttacked",
+      {
+        id: client.id,
+        x: attacker.position.x,
+        y: attacker.position.y,
+        direction,
+        seq: message.seq,
+      },
+      { except: client }
+    );
+
+    // Find and damage every target inside the swing
+    const targets = this.findTargetsInArc(attacker, direction);
+    const hits = targets.map((target) => {
+      const { amount, isCrit } = this.rollDamage(attacker.stats, target.stats);
+      const result = this.applyDamage(target, amount, {
+        attacker,
+        isCrit,
+        source: "player",
+      });
+
+      if (!result.killed) {
+        this.room.physicsSystem.applyHitImpulse(target, attacker.position.x, attacker.position.y);
+      }
+
+      return {
+        targetId: target.id,
+        targetType: target instanceof MonsterState ? "monster" : "player",
+        ...result,
+        isCrit,
+      };
+    });
+
+    // Acknowledge the attack to the attacker
+    client.send("attackAck", {
+      seq: message.seq,
+      hits,
+    });
+  }
+
+  /**
+   * Find all valid targets inside the attacker's swing arc
+   * @param {PlayerState} attacker - Attacking player
+   * @param {Object} direction - Normalized attack direction {x, y}
+   * @returns {Array} - Array of target player and monster states
+   */
+  findTargetsInArc(attacker, direction) {
+    const targets = [];
+    const playerRadius = this.collisionSystem
+      ? this.collisionSystem.playerRadius
+      : 20;
+
+    this.room.state.players.forEach((target) => {
+      if (!this.canTarget(attacker, target)) return;
+
+      if (this.isInArc(attacker, direction, target, playerRadius)) {
+        targets.push(target);
+      }
+    });
+
+    this.room.state.monsters.forEach((monster) => {
+      if (!this.canTarget(attacker, monster)) return;
+
+      if (this.isInArc(attacker, direction, monster, monster.radius)) {
+        targets.push(monster);
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Find all valid targets within a radius of a point
+   * @param {PlayerState} attacker - Attacking player
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   * @param {number} radius - Area radius in pixels
+   * @returns {Array} - Array of target player and monster states
+   */
+  findTargetsInRadius(attacker, x, y, radius) {
+    const targets = [];
+    const playerRadius = this.collisionSystem
+      ? this.collisionSystem.playerRadius
+      : 20;
+
+    const check = (target, targetRadius) => {
+      if (!this.canTarget(attacker, target)) return;
+
+      const dx = target.position.x - x;
+      const dy = target.position.y - y;
+      if (Math.sqrt(dx * dx + dy * dy) > radius + targetRadius) return;
+
+      // Walls shield targets from the blast
+      if (
+        this.collisionSystem &&
+        !this.collisionSystem.hasLineOfSight(x, y, target.position.x, target.position.y)
+      ) {
+        return;
+      }
+
+      targets.push(target);
+    };
+
+    this.room.state.players.forEach((target) => check(target, playerRadius));
+    this.room.state.monsters.forEach((monster) => check(monster, monster.radius));
+
+    return targets;
+  }
+
+  /**
+   * Check if an attacker is allowed to damage a target
+   * @param {PlayerState} attacker - Attacking player
+   * @param {PlayerState|MonsterState} target - Potential target
+   * @returns {boolean} - True if the target can be hit
+   */
+  canTarget(attacker, target) {
+    if (target === attacker || !target.isAlive) return false;
+
+    // Players who fell through the floor are out of reach
+    if (target.onFloor === false) return false;
+
+    // Players can't hit their own summons
+    if (target instanceof MonsterState) {
+      return target.ownerId !== attacker.id;
+    }
+
+    // During gauntlets players can only fight their own group
+    const inGauntlet =
+      this.room.state.phase === this.room.phaseManager.PHASES.GAUNTLET;
+    if (inGauntlet && target.gauntletId !== attacker.gauntletId) return false;
+
+    return true;
+  }
+
+  /**
+   * Check if a target is inside an attacker's swing arc with nothing in between
+   * @param {PlayerState} attacker - Attacking player
+   * @param {Object} direction - Normalized attack direction {x, y}
+   * @param {Object} target - Player or monster state
+   * @param {number} targetRadius - Target body radius
+   * @returns {boolean} - True if the swing reaches the target
+   */
+  isInArc(attacker, direction, target, targetRadius) {
+    const dx = target.position.x - attacker.position.x;
+    const dy = target.position.y - attacker.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance > this.attackRange + targetRadius) return false;
+
+    // Targets overlapping the attacker are always hit, otherwise check the arc
+    if (distance > targetRadius) {
+      const dot = (dx * direction.x + dy * direction.y) / distance;
+      const angle = Math.acos(Math.max(-1, Math.min(1, dot)));
+      if (angle > this.attackArc / 2) return false;
+    }
+
+    // Walls block attacks
+    if (
+      this.collisionSystem &&
+      !this.collisionSystem.hasLineOfSight(
+        attacker.position.x,
+        attacker.position.y,
+        target.position.x,
+        target.position.y
+      )
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Roll damage for a hit using attacker and defender stats
+   * @param {StatsSchema} attackerStats - Attacker stats
+   * @param {StatsSchema} defenderStats - Defender stats
+   * @returns {Object} - { amount, isCrit }
+   */
+  rollDamage(attackerStats, defenderStats) {
+    let amount = attackerStats.damage;
+
+    // Roll for critical hit
+    const isCrit = Math.random() < attackerStats.critChance;
+    if (isCrit) {
+      amount *= attackerStats.critMultiplier;
+    }
+
+    // Defense reduces damage by a diminishing percentage
+    const defense = Math.max(0, defenderStats ? defenderStats.defense : 0);
+    amount *= 100 / (100 + defense);
+
+    return {
+      amount: Math.max(this.minDamage, Math.round(amount)),
+      isCrit,
+    };
+  }
+
+  /**
+   * Apply damage to a player or monster and handle death
+   * @param {PlayerState|MonsterState} target - Entity receiving damage
+   * @param {number} amount - Damage amount
+   * @param {Object} context - { attacker, isCrit, source }
+   * @returns {Object} - { damage, health, killed }
+   */
+  applyDamage(target, amount, context = {}) {
+    // Monsters have their own hit and death handling
+    if (target instanceof MonsterState) {
+      const result = this.room.monsterSystem.applyDamage(target, amount, context);
+      this.room.scoringSystem.recordDamage(context.attacker, result.damage);
+      this.room.combatLogSystem.recordDamage(target, result, context);
+      return result;
+    }
+
+    if (!target || !target.isAlive) {
+      return { damage: 0, health: 0, killed: false };
+    }
+
+    const { attacker = null, isCrit = false, source = "player" } = context;
+
+    // Status effects can raise incoming damage, then shields soak up what they can
+    const statusEffects = this.room.statusEffectSystem;
+    const incoming = Math.round(Math.max(0, amount) * statusEffects.getDamageTakenMultiplier(target));
+    const absorbed = statusEffects.absorbDamage(target, incoming);
+
+    const damage = Math.min(target.stats.health, incoming - absorbed);
+    target.stats.health -= damage;
+    this.room.scoringSystem.recordDamage(attacker, damage);
+
+    // Broadcast the hit so clients can show damage numbers
+    this.room.broadcast("playerHit", {
+      targetId: target.id,
+      attackerId: attacker ? attacker.id : null,
+      damage,
+      absorbed,
+      isCrit,
+      health: target.stats.health,
+      maxHealth: target.stats.maxHealth,
+      source,
+    });
+
+    this.debug &&
+      console.log(
+        `${attacker ? attacker.name : source} hit ${target.name} for ${damage}${
+          isCrit ? " (crit)" : ""
+        }, health ${target.stats.health}/${target.stats.maxHealth}`
+      );
+
+    const killed = target.stats.health <= 0;
+    this.room.combatLogSystem.recordDamage(target, { damage, killed }, context);
+
+    if (killed) {
+      this.handleDeath(target, context);
+    }
+
+    return { damage, health: target.stats.health, killed };
+  }
+
+  /**
+   * Mark a player as dead and notify clients
+   * @param {PlayerState} player - Player who died
+   * @param {Object} context - { attacker, source }
+   */
+  handleDeath(player, context = {}) {
+    const { attacker = null, source = "player" } = context;
+    const killerName = attacker ? attacker.name || attacker.type : null;
+
+    player.stats.health = 0;
+    player.isAlive = false;
+    this.room.statusEffectSystem.clear(player, "death");
+
+    // Leave the backpack and gold behind for others to claim
+    const remains = this.room.remainsSystem.createRemains(player, attacker);
+
+    console.log(
+      `Player ${player.name} was killed by ${killerName || source}${
+        remains
+          ? `, leaving ${remains.gold} gold and ${remains.items.length} items in ${remains.id}`
+          : ""
+      }`
+    );
+
+    // Broadcast death to everyone
+    this.room.broadcast("playerDied", {
+      id: player.id,
+      name: player.name,
+      killerId: attacker ? attacker.id : null,
+      killerName,
+      source,
+      gauntletId: player.gauntletId || null,
+      x: player.position.x,
+      y: player.position.y,
+      remainsId: remains ? remains.id : null,
+    });
+
+    // Notify the player of their elimination
+    const client = this.room.clients.find((c) => c.id === player.id);
+    if (client) {
+      client.send("eliminated", {
+        killerId: attacker ? attacker.id : null,
+        killerName,
+        source,
+        gauntletId: player.gauntletId || null,
+      });
+    }
+
+    this.room.progressionSystem.handleKill(player, attacker);
+    this.room.scoringSystem.recordKill(player, attacker);
+    this.room.combatLogSystem.recordKill(player, context, remains);
+
+    // Keep watching the match
+    this.room.spectatorSystem.startSpectating(player, attacker);
+  }
+
+  /**
+   * Normalize a direction vector, defaulting to facing right
+   * @param {Object} direction - Direction {x, y}
+   * @returns {Object} - Normalized direction {x, y}
+   */
+  normalizeDirection(direction) {
+    const x = Number(direction?.x) || 0;
+    const y = Number(direction?.y) || 0;
+    const magnitude = Math.sqrt(x * x + y * y);
+
+    if (magnitude === 0) {
+      return { x: 1, y: 0 };
+    }
+
+    return { x: x / magnitude, y: y / magnitude };
+  }
+
+  /**
+   * Remove per-player tracking when a player leaves
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.lastAttackTimes.delete(playerId);
+  }
+}
@@ -0,0 +1,232 @@
+// server/systems/DoorSystem.js
+import { DoorState } from "../schemas/DoorState.js";
+
+/**
+ * DoorSystem - Doors placed where corridors meet rooms
+ *
+ * Door state is synced through GameRoomState.doors. Closed and locked doors
+ * are solid in the CollisionSystem, so players, monsters and pathfinding all
+ * treat them as walls.
+ */
+export class DoorSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.interactionRange = 96; // Max distance from the door edge in pixels
+    this.toggleCooldown = 500; // Minimum ms between two toggles of the same door
+    this.toggledAt = new Map(); // Door ID -> clock time of its last toggle
+  }
+
+  /**
+   * Replace all doors with the doors of a freshly generated map
+   * Must run after the collision map has been rebuilt for the map.
+   * @param {Object} mapData - Map data with an optional `doors` list
+   * @returns {number} - Number of doors spawned
+   */
+  spawnFromMap(mapData) {
+    this.room.state.doors.clear();
+    this.toggledAt.clear();
+
+    const doors = (mapData && mapData.doors) || [];
+    doors.forEach((data) => {
+      const door = new DoorState();
+      door.id = data.id;
+      door.x = data.x;
+      door.y = data.y;
+      door.width = data.width;
+      door.height = data.height;
+      door.orientation = data.orientation;
+      door.lockType = data.lockType || "";
+      door.isLocked = !!door.lockType;
+      door.isOpen = false;
+
+      this.room.state.doors.set(door.id, door);
+      this.setDoorCollision(door, true);
+    });
+
+    this.debug && console.log(`Spawned ${this.room.state.doors.size} doors`);
+
+    return this.room.state.doors.size;
+  }
+
+  /**
+   * Find the door covering a tile
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {DoorState|null} - Door or null if none
+   */
+  getDoorAt(tileX, tileY) {
+    for (const door of this.room.state.doors.values()) {
+      if (
+        tileX >= door.x && tileX < door.x + door.width &&
+        tileY >= door.y && tileY < door.y + door.height
+      ) {
+        return door;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a player interacting with a door
+   * @param {Client} client - Client object
+   * @param {PlayerState} player - Player state
+   * @param {Object} message - Interaction message { tileX, tileY }
+   */
+  handleInteraction(client, player, message) {
+    if (!player.isAlive) return;
+
+    const door = this.getDoorAt(message.tileX, message.tileY);
+    if (!door) {
+      this.reject(client, message, null, "notFound");
+      return;
+    }
+
+    if (this.getDistanceToDoor(door, player.position.x, player.position.y) > this.interactionRange) {
+      this.reject(client, message, door, "tooFar");
+      return;
+    }
+
+    if (door.isLocked) {
+      this.unlockDoor(client, player, door);
+      return;
+    }
+
+    // Every toggle reroutes pathfinding, so a door can't be flapped every tick
+    const now = this.room.clock.currentTime;
+    const readyAt = (this.toggledAt.get(door.id) ?? -Infinity) + this.toggleCooldown;
+    if (now < readyAt) {
+      this.reject(client, message, door, "cooldown", { remaining: readyAt - now });
+      return;
+    }
+
+    if (door.isOpen) {
+      if (this.isDoorBlocked(door)) {
+        this.reject(client, message, door, "blocked");
+        return;
+      }
+      this.setDoorOpen(door, false);
+    } else {
+      this.setDoorOpen(door, true);
+    }
+
+    this.debug &&
+      console.log(`${player.name} ${door.isOpen ? "opened" : "closed"} door ${door.id}`);
+  }
+
+  /**
+   * Unlock a locked door with a matching key from the player's inventory
+   * The key is consumed and the door swings open.
+   * @param {Client} client - Client object
+   * @param {PlayerState} player - Player state
+   * @param {DoorState} door - Locked door
+   */
+  unlockDoor(client, player, door) {
+    const keyIndex = player.items.findIndex(
+      (item) => item.type === "key" && item.rarity === door.lockType
+    );
+
+    if (keyIndex === -1) {
+      client.send("doorLocked", {
+        id: door.id,
+        x: door.x,
+        y: door.y,
+        lockType: door.lockType,
+      });
+      return;
+    }
+
+    const [key] = player.items.splice(keyIndex, 1);
+    door.isLocked = false;
+    this.setDoorOpen(door, true);
+
+    client.send("doorUnlocked", { id: door.id, itemId: key.id, lockType: door.lockType });
+
+    this.debug && console.log(`${player.name} unlocked door ${door.id} with ${key.name}`);
+  }
+
+  /**
+   * Open or close a door and update collision
+   * @param {DoorState} door - Door to change
+   * @param {boolean} isOpen - New door state
+   */
+  setDoorOpen(door, isOpen) {
+    door.isOpen = isOpen;
+    this.toggledAt.set(door.id, this.room.clock.currentTime);
+    this.setDoorCollision(door, !isOpen);
+
+    this.room.broadcast("doorToggled", {
+      id: door.id,
+      x: door.x,
+      y: door.y,
+      isOpen: door.isOpen,
+      isLocked: door.isLocked,
+    });
+  }
+
+  /**
+   * Mark every tile of a door as solid or walkable
+   * @param {DoorState} door - Door
+   * @param {boolean} solid - True to block movement
+   */
+  setDoorCollision(door, solid) {
+    const collisionSystem = this.room.collisionSystem;
+    for (let y = door.y; y < door.y + door.height; y++) {
+      for (let x = door.x; x < door.x + door.width; x++) {
+        collisionSystem.setTileCollision(x, y, solid);
+      }
+    }
+  }
+
+  /**
+   * Check if a player or monster is standing in a doorway
+   * @param {DoorState} door - Door
+   * @returns {boolean} - True if closing the door would trap someone
+   */
+  isDoorBlocked(door) {
+    const overlaps = (entity, radius) =>
+      entity.isAlive &&
+      this.getDistanceToDoor(door, entity.position.x, entity.position.y) < radius;
+
+    const playerRadius = this.room.collisionSystem.playerRadius;
+    for (const player of this.room.state.players.values()) {
+      if (overlaps(player, playerRadius)) return true;
+    }
+    for (const monster of this.room.state.monsters.values()) {
+      if (overlaps(monster, monster.radius)) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Distance from a world position to the nearest point of a door
+   * @param {DoorState} door - Door
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {number} - Distance in pixels (0 if inside the door)
+   */
+  getDistanceToDoor(door, x, y) {
+    const tileSize = this.room.collisionSystem.tileSize;
+    const left = door.x * tileSize;
+    const top = door.y * tileSize;
+    const right = left + door.width * tileSize;
+    const bottom = top + door.height * tileSize;
+
+    const dx = Math.max(left - x, 0, x - right);
+    const dy = Math.max(top - y, 0, y - bottom);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  reject(client, message, door, reason, extra = {}) {
+    client.send("doorRejected", {
+      id: door ? door.id : null,
+      x: message.tileX,
+      y: message.tileY,
+      reason,
+      ...extra,
+    });
+  }
+}
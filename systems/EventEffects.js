@@ -0,0 +1,264 @@
+// server/systems/EventEffects.js
+import { PropType, MonsterType } from "../dungeonGenerator/types.js";
+
+/**
+ * Gameplay effects of global events, keyed by event type
+ *
+ * Each effect has:
+ * - start(room, event): apply the effect, keeping whatever is needed to undo
+ *   it on `event.state`. May return extra fields for the "globalEvent" message.
+ * - end(room, event): undo the effect
+ * - update(room, event, deltaTime): optional per-tick behaviour
+ *
+ * Effects draw random numbers from `event.rng` only.
+ */
+
+/**
+ * Pick random free floor tiles around a player that they can walk to
+ * @param {Object} room - Game room
+ * @param {PlayerState} player - Player to search around
+ * @param {number} count - Number of tiles wanted
+ * @param {number} minRadius - Minimum distance in tiles
+ * @param {number} maxRadius - Maximum distance in tiles
+ * @param {Function} rng - Random number generator
+ * @param {Set} taken - "x,y" keys already used, updated in place
+ * @returns {Array} - Tiles {x, y}
+ */
+function pickTilesAround(room, player, count, minRadius, maxRadius, rng, taken) {
+  const mapData = room.mapManager.currentMap;
+  const props = mapData.layers.props;
+  const tileSize = mapData.tileSize || 64;
+  const centerX = Math.floor(player.position.x / tileSize);
+  const centerY = Math.floor(player.position.y / tileSize);
+
+  const tiles = [];
+  for (let attempt = 0; attempt < count * 10 && tiles.length < count; attempt++) {
+    const angle = rng() * Math.PI * 2;
+    const distance = minRadius + rng() * (maxRadius - minRadius);
+    const x = Math.round(centerX + Math.cos(angle) * distance);
+    const y = Math.round(centerY + Math.sin(angle) * distance);
+    const key = `${x},${y}`;
+
+    if (taken.has(key)) continue;
+    if (!room.pathfindingSystem.canReach(centerX, centerY, x, y)) continue;
+    if (props[y] && props[y][x]) continue;
+
+    taken.add(key);
+    tiles.push({ x, y });
+  }
+
+  return tiles;
+}
+
+function getActivePlayers(room) {
+  return Array.from(room.state.players.values()).filter(
+    (player) => player.isAlive && player.onFloor
+  );
+}
+
+export const EVENT_EFFECTS = {
+  // Scatter coins around every player, leftovers vanish when the event ends
+  treasure_rain: {
+    coinsPerPlayer: 6,
+    radius: [2, 7], // Tiles from the player
+
+    start(room, event) {
+      const props = room.mapManager.currentMap.layers.props;
+      const taken = new Set();
+      const updates = [];
+
+      getActivePlayers(room).forEach((player) => {
+        const tiles = pickTilesAround(
+          room, player, this.coinsPerPlayer, this.radius[0], this.radius[1], event.rng, taken
+        );
+
+        tiles.forEach(({ x, y }) => {
+          props[y][x] = PropType.Coin;
+          updates.push({ x, y, value: PropType.Coin });
+        });
+      });
+
+      event.state.mapId = room.mapManager.currentMap.id;
+      event.state.coins = updates.map(({ x, y }) => ({ x, y }));
+
+      if (updates.length > 0) {
+        room.broadcast("propsUpdated", { updates });
+      }
+
+      return { coins: updates.length };
+    },
+
+    end(room, event) {
+      const mapData = room.mapManager.currentMap;
+      if (!mapData || mapData.id !== event.state.mapId) return;
+
+      // Only clear coins nobody picked up
+      const props = mapData.layers.props;
+      const updates = [];
+      event.state.coins.forEach(({ x, y }) => {
+        if (props[y][x] !== PropType.Coin) return;
+
+        props[y][x] = 0;
+        updates.push({ x, y, value: 0 });
+      });
+
+      if (updates.length > 0) {
+        room.broadcast("propsUpdated", { updates });
+      }
+    },
+  },
+
+  // Extra monsters close to every player, despawned when the surge ends
+  monster_surge: {
+    monstersPerPlayer: 2,
+    radius: [5, 9], // Tiles from the player
+    types: [MonsterType.Skeleton, MonsterType.Bandit, MonsterType.Wolf],
+
+    start(room, event) {
+      event.state.monsterIds = [];
+
+      // Arenas are for players only
+      if (room.state.phase !== room.phaseManager.PHASES.DUNGEON) return { monsters: 0 };
+
+      const mapData = room.mapManager.currentMap;
+      const taken = new Set();
+
+      getActivePlayers(room).forEach((player) => {
+        const tiles = pickTilesAround(
+          room, player, this.monstersPerPlayer, this.radius[0], this.radius[1], event.rng, taken
+        );
+
+        tiles.forEach(({ x, y }) => {
+          const typeId = this.types[Math.floor(event.rng() * this.types.length)];
+          const monster = room.monsterSystem.spawnMonster(typeId, x, y, mapData, {
+            id: `${event.id}_${event.state.monsterIds.length}`,
+          });
+          if (monster) {
+            event.state.monsterIds.push(monster.id);
+          }
+        });
+      });
+
+      return { monsters: event.state.monsterIds.length };
+    },
+
+    end(room, event) {
+      event.state.monsterIds.forEach((id) => room.monsterSystem.despawnMonster(id, "eventEnded"));
+    },
+  },
+
+  // Zones in random rooms that heal anyone standing in them
+  healing_pools: {
+    poolCount: 3,
+    radius: 160, // Pixels
+    healPerSecond: 8,
+
+    start(room, event) {
+      const mapData = room.mapManager.currentMap;
+      const tileSize = mapData.tileSize || 64;
+      const rooms = mapData.structural.rooms.filter((r) => r.type !== "boss");
+
+      const zones = [];
+      for (let i = 0; i < this.poolCount && rooms.length > 0; i++) {
+        const [target] = rooms.splice(Math.floor(event.rng() * rooms.length), 1);
+        const tile = room.pathfindingSystem.findNearestWalkable(
+          Math.floor(target.x + target.width / 2),
+          Math.floor(target.y + target.height / 2),
+          Math.ceil(Math.min(target.width, target.height) / 2)
+        );
+        if (!tile) continue;
+
+        zones.push({
+          id: `${event.id}_${i}`,
+          x: (tile.x + 0.5) * tileSize,
+          y: (tile.y + 0.5) * tileSize,
+          radius: this.radius,
+        });
+      }
+
+      event.state.mapId = mapData.id;
+      event.state.zones = zones;
+      event.state.pending = new Map(); // Player ID -> fractional healing not applied yet
+
+      return { zones };
+    },
+
+    update(room, event, deltaTime) {
+      if (room.mapManager.currentMap.id !== event.state.mapId) return;
+
+      room.state.players.forEach((player) => {
+        if (!player.isAlive || !player.onFloor) return;
+
+        const inZone = event.state.zones.some(
+          (zone) =>
+            Math.hypot(player.position.x - zone.x, player.position.y - zone.y) <= zone.radius
+        );
+        if (!inZone) return;
+
+        // Health is whole numbers, carry the remainder to the next tick
+        const owed =
+          (event.state.pending.get(player.id) || 0) + (this.healPerSecond * deltaTime) / 1000;
+        const healed = Math.min(Math.floor(owed), player.stats.maxHealth - player.stats.health);
+        player.stats.health += healed;
+        event.state.pending.set(player.id, owed - Math.floor(owed));
+      });
+    },
+
+    end(room, event) {
+      room.broadcast("healZonesRemoved", {
+        eventId: event.id,
+        ids: event.state.zones.map((zone) => zone.id),
+      });
+    },
+  },
+
+  // Clients only render what is within the vision radius
+  darkness: {
+    visionRadius: 320, // Pixels
+
+    start(room, event) {
+      event.state.previous = room.state.visionRadius;
+      room.state.visionRadius = this.visionRadius;
+
+      return { visionRadius: this.visionRadius };
+    },
+
+    end(room, event) {
+      room.state.visionRadius = event.state.previous;
+    },
+  },
+
+  // Chests give more gold and an extra item
+  extra_loot: {
+    goldMultiplier: 2,
+    bonusRolls: 1,
+
+    start(room, event) {
+      room.lootSystem.goldMultiplier *= this.goldMultiplier;
+      room.lootSystem.bonusRolls += this.bonusRolls;
+
+      return { goldMultiplier: this.goldMultiplier, bonusRolls: this.bonusRolls };
+    },
+
+    end(room, event) {
+      room.lootSystem.goldMultiplier /= this.goldMultiplier;
+      room.lootSystem.bonusRolls -= this.bonusRolls;
+    },
+  },
+
+  // Shop prices are scaled by the room's price multiplier
+  shop_discount: {
+    priceMultiplier: 0.75,
+
+    start(room, event) {
+      event.state.previous = room.state.priceMultiplier;
+      room.state.priceMultiplier = this.priceMultiplier;
+
+      return { priceMultiplier: this.priceMultiplier };
+    },
+
+    end(room, event) {
+      room.state.priceMultiplier = event.state.previous;
+    },
+  },
+};
@@ -1,34 +1,63 @@
+import { EVENT_EFFECTS } from "./EventEffects.js";
+
 export class EventManager {
     constructor(room) {
       this.room = room;
       this.activeEvents = new Map();
+      
+      // Event type -> { start, end, update } effect handlers
+      this.effects = new Map(Object.entries(EVENT_EFFECTS));
+    }
+    
+    /**
+     * Register the gameplay effect of an event type
+     * @param {string} eventType - Event type
+     * @param {Object} effect - { start(room, event), end(room, event), update(room, event, deltaTime) }
+     */
+    registerEffect(eventType, effect) {
+      this.effects.set(eventType, effect);
     }
     
-    triggerGlobalEvent() {
-      // Create a random global event that affects all players
-      const eventTypes = [
-        "treasure_rain", "monster_surge", "healing_pools", 
-        "darkness", "extra_loot", "shop_discount"
-      ];
+    /**
+     * Start a global event and apply its effect
+     * Events of the same type don't overlap, so each one can restore what it changed.
+     * @param {string} eventType - Event type with a registered effect
+     * @param {Object} options - { id, duration (seconds), rng }
+     * @returns {string|null} - Event ID, or null if it couldn't start
+     */
+    startEvent(eventType, options = {}) {
+      const effect = this.effects.get(eventType);
+      if (!effect || this.getActiveTypes().includes(eventType)) return null;
       
-      const eventType = eventTypes[Math.floor(Math.random() * eventTypes.length)];
-      const eventDuration = Math.floor(Math.random() * 30) + 30; // 30-60 seconds
-      const eventId = `${eventType}_${Date.now()}`;
+      const {
+        id: eventId = `${eventType}_${Date.now()}`,
+        duration: eventDuration = 30,
+        rng = Math.random
+      } = options;
       
-      // Add event to global events
-      this.room.state.globalEvents.push(eventId);
-      this.activeEvents.set(eventId, {
+      const event = {
+        id: eventId,
         type: eventType,
         duration: eventDuration,
-        startTime: Date.now()
-      });
+        startTime: Date.now(),
+        rng,
+        state: {} // Effect bookkeeping needed to undo it
+      };
+      
+      // Add event to global events
+      this.room.state.globalEvents.push(eventId);
+      this.activeEvents.set(eventId, event);
+      
+      // Apply the event's effect
+      const details = effect.start(this.room, event) || {};
       
       // Broadcast event to all players
       this.room.broadcast("globalEvent", {
         id: eventId,
         type: eventType,
         duration: eventDuration,
-        message: this.getEventMessage(eventType)
+        message: this.getEventMessage(eventType),
+        ...details
       });
       
       // Clear event after duration
@@ -39,6 +68,10 @@ export class EventManager {
       return eventId;
     }
     
+    getActiveTypes() {
+      return Array.from(this.activeEvents.values()).map(event => event.type);
+    }
+    
     endEvent(eventId) {
       // Remove event from state
       const index = this.room.state.globalEvents.indexOf(eventId);
@@ -48,6 +81,9 @@ export class EventManager {
       
       const eventData = this.activeEvents.get(eventId);
       if (eventData) {
+        // Undo the event's effect
+        this.effects.get(eventData.type).end(this.room, eventData);
+        
         // Broadcast event ended
         this.room.broadcast("globalEventEnded", {
           id: eventId,
@@ -59,6 +95,13 @@ export class EventManager {
       }
     }
     
+    /**
+     * End every running event and undo its effect, e.g. when the match is over
+     */
+    endAll() {
+      Array.from(this.activeEvents.keys()).forEach(eventId => this.endEvent(eventId));
+    }
+    
     getEventMessage(eventType) {
       // Return appropriate message for event type
       const messages = {
@@ -83,6 +126,12 @@ export class EventManager {
         // End event if duration exceeded
         if (remaining <= 0) {
           this.endEvent(id);
+          return;
+        }
+        
+        const effect = this.effects.get(event.type);
+        if (effect.update) {
+          effect.update(this.room, event, deltaTime);
         }
       });
     }
@@ -0,0 +1,144 @@
+// server/systems/EventScheduler.js
+import seedrandom from "seedrandom";
+import { randomWeights } from "../dungeonGenerator/utils.js";
+
+/**
+ * Default event schedule
+ */
+export const DEFAULT_EVENT_SCHEDULE = {
+  checkInterval: 15 * 1000, // How often the scheduler considers starting an event
+  triggerChance: 0.4, // Chance per check once the minimum gap has passed
+  minGap: 45 * 1000, // Minimum time between two event starts
+  maxConcurrent: 2, // Cap on events running at once
+  duration: [30, 60], // Event duration range in seconds
+  phases: ["dungeon", "gauntlet"], // Phases events can start in
+
+  // Relative weight of each event type per floor, the last entry covers deeper floors
+  floorWeights: [
+    { treasure_rain: 3, monster_surge: 1, healing_pools: 2, darkness: 0, extra_loot: 2, shop_discount: 2 },
+    { treasure_rain: 2, monster_surge: 2, healing_pools: 2, darkness: 1, extra_loot: 2, shop_discount: 1 },
+    { treasure_rain: 1, monster_surge: 3, healing_pools: 2, darkness: 2, extra_loot: 1, shop_discount: 1 },
+  ],
+
+  // Pairs of event types that never run at the same time
+  exclusions: [
+    ["treasure_rain", "extra_loot"],
+    ["darkness", "monster_surge"],
+  ],
+};
+
+/**
+ * EventScheduler - Decides when global events start and which ones
+ *
+ * All rolls come from a generator seeded with the match seed, and each event
+ * gets its own generator derived from it, so a match's events can be replayed.
+ */
+export class EventScheduler {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.schedule = { ...DEFAULT_EVENT_SCHEDULE };
+    this.seed = "";
+    this.rng = Math.random;
+
+    this.timer = null;
+    this.lastEventAt = -Infinity; // Clock time of the last event start
+    this.eventCount = 0;
+  }
+
+  /**
+   * Initialize the scheduler with configuration
+   * @param {Object} config - { seed } plus DEFAULT_EVENT_SCHEDULE overrides
+   */
+  init(config = {}) {
+    const { seed, debug, ...schedule } = config;
+
+    this.debug = debug || false;
+    this.schedule = { ...this.schedule, ...schedule };
+    this.seed = `${seed}`;
+    this.rng = seedrandom(`${this.seed}:events`);
+
+    return this;
+  }
+
+  /**
+   * Start checking for events on the room clock
+   */
+  start() {
+    this.stop();
+
+    this.timer = this.room.clock.setInterval(() => {
+      this.check();
+    }, this.schedule.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      this.timer.clear();
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Roll for a new event, subject to phase, gap, cap and exclusion rules
+   * @returns {string|null} - ID of the started event, or null
+   */
+  check() {
+    const { phases, minGap, maxConcurrent, triggerChance } = this.schedule;
+    const eventManager = this.room.eventManager;
+    const now = this.room.clock.currentTime;
+
+    if (!phases.includes(this.room.state.phase)) return null;
+    if (now - this.lastEventAt < minGap) return null;
+    if (eventManager.activeEvents.size >= maxConcurrent) return null;
+    if (this.rng() >= triggerChance) return null;
+
+    const eventType = this.pickEventType(this.room.mapManager.floorLevel);
+    if (!eventType) return null;
+
+    const [minDuration, maxDuration] = this.schedule.duration;
+    const duration = minDuration + Math.floor(this.rng() * (maxDuration - minDuration + 1));
+
+    this.lastEventAt = now;
+    this.eventCount++;
+
+    this.debug &&
+      console.log(`Scheduling event ${eventType} (${duration}s) as event #${this.eventCount}`);
+
+    return eventManager.startEvent(eventType, {
+      id: `${eventType}_${this.eventCount}`,
+      duration,
+      rng: seedrandom(`${this.seed}:event:${this.eventCount}`),
+    });
+  }
+
+  /**
+   * Pick an event type allowed to start now using the floor's weights
+   * @param {number} floorLevel - Current floor
+   * @returns {string|null} - Event type, or null if none can start
+   */
+  pickEventType(floorLevel) {
+    const { floorWeights, exclusions } = this.schedule;
+    const weights = floorWeights[Math.min(floorLevel, floorWeights.length) - 1] || {};
+    const activeTypes = this.room.eventManager.getActiveTypes();
+
+    const isAllowed = (type) =>
+      this.room.eventManager.effects.has(type) &&
+      !activeTypes.includes(type) &&
+      !exclusions.some(
+        (pair) => pair.includes(type) && pair.some((other) => other !== type && activeTypes.includes(other))
+      );
+
+    const candidates = Object.keys(weights).filter((type) => weights[type] > 0 && isAllowed(type));
+    const total = candidates.reduce((sum, type) => sum + weights[type], 0);
+    if (total <= 0) return null;
+
+    // randomWeights expects weights that add up to 1
+    return randomWeights(
+      candidates.map((type) => weights[type] / total),
+      candidates,
+      this.rng
+    );
+  }
+}
@@ -0,0 +1,298 @@
+// server/systems/FloorCollapseSystem.js
+import { TileType } from "../dungeonGenerator/types.js";
+
+/**
+ * FloorCollapseSystem - Crumbles the dungeon floor into holes at the end of a dungeon phase
+ *
+ * Floor tiles are grouped into rings by distance from the dungeon centre.
+ * Rooms collapse as a whole with the ring their centre falls in, so the floor
+ * goes room by room from the outside in. The innermost ring is never
+ * collapsed and is the last safe ground before the phase ends.
+ *
+ * Collapsed tiles are sent as flat run-length lists: [x, y, length, ...]
+ * where each run covers `length` tiles to the right of (x, y).
+ */
+export class FloorCollapseSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    // Collapse settings
+    this.collapseDuration = 60 * 1000; // Collapse runs during the last minute of the phase
+    this.waveCount = 6; // Rings that crumble, plus the safe centre
+    this.warningTime = 3000; // Time between "tilesCrumbling" and "tilesCollapsed"
+    this.fallDamage = 25;
+
+    this.waves = []; // Run lists per wave, outermost first
+    this.currentWave = 0;
+    this.timers = [];
+  }
+
+  /**
+   * Plan the collapse for the current floor and schedule its waves
+   * @param {number} phaseDuration - Dungeon phase duration in ms
+   */
+  start(phaseDuration) {
+    this.stop();
+
+    const mapData = this.room.mapManager.currentMap;
+    if (!mapData || !mapData.layers || !mapData.layers.tiles) return;
+
+    this.waves = this.planWaves(mapData);
+    this.currentWave = 0;
+
+    const startDelay = Math.max(0, phaseDuration - this.collapseDuration);
+    const interval = this.collapseDuration / (this.waves.length + 1);
+
+    this.waves.forEach((runs, wave) => {
+      const collapseAt = startDelay + interval * (wave + 1);
+
+      this.schedule(Math.max(0, collapseAt - this.warningTime), () => {
+        this.room.broadcast("tilesCrumbling", {
+          wave,
+          waves: this.waves.length,
+          delay: this.warningTime,
+          runs,
+        });
+      });
+
+      this.schedule(collapseAt, () => this.collapseWave(wave));
+    });
+
+    this.debug &&
+      console.log(
+        `Planned ${this.waves.length} collapse waves starting in ${startDelay / 1000}s`
+      );
+  }
+
+  /**
+   * Cancel any pending waves
+   */
+  stop() {
+    this.timers.forEach((timer) => timer.clear());
+    this.timers = [];
+    this.waves = [];
+  }
+
+  schedule(delay, callback) {
+    this.timers.push(this.room.clock.setTimeout(callback, delay));
+  }
+
+  /**
+   * Split the floor into waves of tile runs, outermost first
+   * @param {Object} mapData - Current map data
+   * @returns {Array} - One flat run list per wave (the safe centre is excluded)
+   */
+  planWaves(mapData) {
+    const tiles = mapData.layers.tiles;
+    const bounds = mapData.mainDungeon || {
+      x: 0,
+      y: 0,
+      width: tiles[0].length,
+      height: tiles.length,
+    };
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+    const rings = this.waveCount + 1;
+
+    // Spawn rooms sit outside the main dungeon, so measure against the farthest floor tile
+    const rooms = [
+      ...(mapData.structural ? mapData.structural.rooms : []),
+      ...(mapData.structural ? mapData.structural.spawnRooms : []),
+    ];
+    let maxDistance = 1;
+    for (let y = 0; y < tiles.length; y++) {
+      for (let x = 0; x < tiles[y].length; x++) {
+        if (tiles[y][x] > 0) continue;
+        maxDistance = Math.max(maxDistance, Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY));
+      }
+    }
+
+    const ringOf = (x, y) =>
+      Math.max(
+        0,
+        Math.min(
+          rings - 1,
+          Math.floor((1 - Math.hypot(x - centerX, y - centerY) / maxDistance) * rings)
+        )
+      );
+
+    // Rooms collapse together with the ring their centre is in
+    const roomRings = rooms.map((room) => ringOf(room.x + room.width / 2, room.y + room.height / 2));
+    const findRoomRing = (x, y) => {
+      for (let i = 0; i < rooms.length; i++) {
+        const room = rooms[i];
+        if (x >= room.x && x < room.x + room.width && y >= room.y && y < room.y + room.height) {
+          return roomRings[i];
+        }
+      }
+      return null;
+    };
+
+    const waves = Array.from({ length: this.waveCount }, () => []);
+    for (let y = 0; y < tiles.length; y++) {
+      let runWave = -1;
+      let runStart = 0;
+
+      for (let x = 0; x <= tiles[y].length; x++) {
+        let wave = -1;
+        if (x < tiles[y].length && !(tiles[y][x] > 0) && tiles[y][x] !== TileType.Hole) {
+          const roomRing = findRoomRing(x, y);
+          const ring = roomRing !== null ? roomRing : ringOf(x + 0.5, y + 0.5);
+          // The innermost ring never collapses
+          wave = ring < this.waveCount ? ring : -1;
+        }
+
+        if (wave !== runWave) {
+          if (runWave !== -1) {
+            waves[runWave].push(runStart, y, x - runStart);
+          }
+          runWave = wave;
+          runStart = x;
+        }
+      }
+    }
+
+    return waves.filter((runs) => runs.length > 0);
+  }
+
+  /**
+   * Turn a wave's tiles into holes and notify clients
+   * @param {number} wave - Wave index
+   */
+  collapseWave(wave) {
+    const runs = this.waves[wave];
+    if (!runs) return;
+
+    this.currentWave = wave + 1;
+    this.collapseRuns(runs, { wave, waves: this.waves.length });
+
+    this.debug && console.log(`Floor collapse wave ${wave + 1}/${this.waves.length}`);
+  }
+
+  /**
+   * Collapse the outer ring of a rectangle, shrinking it by one tile on every side
+   * @param {Object} rect - Rectangle {x, y, width, height} in tiles
+   * @returns {Object|null} - The remaining rectangle, or null if nothing is left
+   */
+  collapseRing(rect) {
+    if (rect.width <= 0 || rect.height <= 0) return null;
+
+    const runs = [];
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      if (y === rect.y || y === rect.y + rect.height - 1) {
+        runs.push(rect.x, y, rect.width);
+      } else {
+        runs.push(rect.x, y, 1, rect.x + rect.width - 1, y, 1);
+      }
+    }
+
+    this.collapseRuns(runs, { ring: true });
+
+    const inner = {
+      x: rect.x + 1,
+      y: rect.y + 1,
+      width: rect.width - 2,
+      height: rect.height - 2,
+    };
+    return inner.width > 0 && inner.height > 0 ? inner : null;
+  }
+
+  /**
+   * Turn runs of tiles into holes, notify clients and drop anyone on them
+   * @param {Array} runs - Flat run list [x, y, length, ...]
+   * @param {Object} info - Extra fields for the "tilesCollapsed" message
+   */
+  collapseRuns(runs, info = {}) {
+    const mapData = this.room.mapManager.currentMap;
+    if (!mapData) return;
+
+    const tiles = mapData.layers.tiles;
+    for (let i = 0; i < runs.length; i += 3) {
+      const [x, y, length] = [runs[i], runs[i + 1], runs[i + 2]];
+      for (let offset = 0; offset < length; offset++) {
+        if (tiles[y] && !(tiles[y][x + offset] > 0)) {
+          tiles[y][x + offset] = TileType.Hole;
+        }
+      }
+    }
+
+    // Routes over the old floor are no longer valid
+    this.room.collisionSystem.invalidatePaths();
+
+    this.room.broadcast("tilesCollapsed", { ...info, runs });
+
+    // Anyone standing on the collapsed tiles falls right away
+    this.update(0);
+  }
+
+  /**
+   * Drop players, monsters and remains on holes
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    const mapData = this.room.mapManager.currentMap;
+    if (!mapData || !mapData.layers || !mapData.layers.tiles) return;
+
+    this.room.state.players.forEach((player) => {
+      if (!player.isAlive || !player.onFloor) return;
+      if (this.isHoleAt(mapData, player.position.x, player.position.y)) {
+        this.fall(player);
+      }
+    });
+
+    const fallenMonsters = [];
+    this.room.state.monsters.forEach((monster) => {
+      if (monster.isAlive && this.isHoleAt(mapData, monster.position.x, monster.position.y)) {
+        fallenMonsters.push(monster.id);
+      }
+    });
+    fallenMonsters.forEach((id) => this.room.monsterSystem.despawnMonster(id, "fell"));
+
+    // Remains go down with the floor they lie on
+    this.room.remainsSystem.removeOnHoles(mapData);
+  }
+
+  /**
+   * Check if a world position is over a hole
+   * @param {Object} mapData - Current map data
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {boolean} - True if the tile is a hole
+   */
+  isHoleAt(mapData, x, y) {
+    const tileSize = mapData.tileSize || 64;
+    const row = mapData.layers.tiles[Math.floor(y / tileSize)];
+    return !!row && row[Math.floor(x / tileSize)] === TileType.Hole;
+  }
+
+  /**
+   * Drop a player through the floor
+   * The player takes fall damage and stays off the floor until the next map places them.
+   * During the showdown the fall is fatal.
+   * @param {PlayerState} player - Falling player
+   */
+  fall(player) {
+    player.onFloor = false;
+
+    // There is no floor below the showdown arena, so falling there is fatal
+    const inShowdown =
+      this.room.state.phase === this.room.phaseManager.PHASES.SHOWDOWN;
+    const damage = inShowdown ? player.stats.health + this.room.statusEffectSystem.getAbsorb(player) : this.fallDamage;
+
+    const result = this.room.combatSystem.applyDamage(player, damage, {
+      source: "fall",
+    });
+
+    this.room.broadcast("playerFell", {
+      id: player.id,
+      x: player.position.x,
+      y: player.position.y,
+      damage: result.damage,
+      health: result.health,
+      killed: result.killed,
+    });
+
+    this.debug && console.log(`${player.name} fell through the floor`);
+  }
+}
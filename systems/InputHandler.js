@@ -9,10 +9,8 @@ export class InputHandler {
     this.playerProcessedSequences = new Map(); // Map of player ID to highest processed sequence
     this.collisionSystem = null; // Reference to collision system
 
-    // Dash configuration
-    this.dashDistance = 120;
+    // Dash configuration (distance and cooldown are per player, see PlayerState)
     this.dashDuration = 0.15; // seconds
-    this.dashCooldown = 3.0; // seconds
   }
 
   /**
@@ -29,6 +27,7 @@ export class InputHandler {
       // Get player
       const player = this.room.state.players.get(client.id);
       if (!player) return;
+      if (this.rejectSpectatorInput(client, player)) return;
 
       // Initialize tracking for this player if not exists
       if (!this.playerInputQueues.has(client.id)) {
@@ -97,6 +96,7 @@ export class InputHandler {
       // Get player
       const player = this.room.state.players.get(client.id);
       if (!player) return;
+      if (this.rejectSpectatorInput(client, player, message.seq)) return;
 
       // Check if this is a dash input
       if (message.type === "dash") {
@@ -163,6 +163,23 @@ export class InputHandler {
     });
   }
 
+  /**
+   * Reject gameplay input from spectators
+   * @param {Client} client - Colyseus client
+   * @param {PlayerState} player - Sending player
+   * @param {number} seq - Input sequence number, if any
+   * @returns {boolean} - True if the input was rejected
+   */
+  rejectSpectatorInput(client, player, seq) {
+    if (!player.isSpectator) return false;
+
+    // Drop anything queued before the player was eliminated
+    this.playerInputQueues.set(client.id, []);
+
+    client.send("inputRejected", { seq, reason: "spectator" });
+    return true;
+  }
+
   /**
    * Handle dash input from client
    * @param {Client} client - Colyseus client
@@ -171,7 +188,17 @@ export class InputHandler {
   handleDashInput(client, message) {
     // Get player
     const player = this.room.state.players.get(client.id);
-    if (!player) return;
+    if (!player || !player.onFloor) return;
+    if (this.rejectSpectatorInput(client, player, message.seq)) return;
+
+    // No dashing while stunned
+    if (!this.room.statusEffectSystem.canAct(player)) {
+      client.send("dashUpdate", {
+        charges: player.dashCharges,
+        seq: message.seq,
+      });
+      return;
+    }
 
     // Initialize dash charges if they don't exist
     if (!player.dashCharges) {
@@ -202,6 +229,7 @@ export class InputHandler {
     }
 
     // Calculate dash movement
+    const dashDistance = player.dashDistance;
     const startPos = {
       x: player.position.x,
       y: player.position.y,
@@ -209,13 +237,18 @@ export class InputHandler {
 
     // Calculate the full dash target position
     const fullDashTarget = {
-      x: startPos.x + direction.x * this.dashDistance,
-      y: startPos.y + direction.y * this.dashDistance,
+      x: startPos.x + direction.x * dashDistance,
+      y: startPos.y + direction.y * dashDistance,
     };
 
     // Find furthest valid position
     let finalPos = { ...fullDashTarget };
     let hitWall = false;
+    let hitPlayer = null;
+
+    // Anyone already touching the dasher doesn't stop the dash
+    const physics = this.room.physicsSystem;
+    const startBody = physics.findBodyAt(player, startPos.x, startPos.y);
 
     if (this.collisionSystem) {
       // Check points along the dash path
@@ -223,18 +256,23 @@ export class InputHandler {
       for (let i = 1; i <= steps; i++) {
         // Calculate position at this step
         const progress = i / steps;
-        const checkX = startPos.x + direction.x * this.dashDistance * progress;
-        const checkY = startPos.y + direction.y * this.dashDistance * progress;
+        const checkX = startPos.x + direction.x * dashDistance * progress;
+        const checkY = startPos.y + direction.y * dashDistance * progress;
 
         // Check collision at this position
-        if (this.collisionSystem.checkCollision(checkX, checkY)) {
-          hitWall = true;
+        const body = physics.findBodyAt(player, checkX, checkY);
+        if (body && body !== startBody) {
+          hitPlayer = body;
+        }
+
+        if (hitPlayer || this.collisionSystem.checkCollision(checkX, checkY)) {
+          hitWall = !hitPlayer;
 
           // Use the previous valid position
           const prevProgress = (i - 1) / steps;
           finalPos = {
-            x: startPos.x + direction.x * this.dashDistance * prevProgress,
-            y: startPos.y + direction.y * this.dashDistance * prevProgress,
+            x: startPos.x + direction.x * dashDistance * prevProgress,
+            y: startPos.y + direction.y * dashDistance * prevProgress,
           };
 
           break;
@@ -249,6 +287,11 @@ export class InputHandler {
     player.position.x = finalPos.x;
     player.position.y = finalPos.y;
 
+    // Running into someone knocks them back along the dash
+    if (hitPlayer) {
+      physics.applyImpulse(hitPlayer, direction, physics.settings.dashKnockback);
+    }
+
     // Broadcast dash to other clients with start and end positions for smooth visualization
     this.room.broadcast(
       "playerDashed",
@@ -260,6 +303,7 @@ export class InputHandler {
         endY: finalPos.y,
         direction: direction,
         hitWall: hitWall,
+        hitPlayerId: hitPlayer ? hitPlayer.id : null,
         seq: message.seq, // Include input sequence number for ordering!
       },
       { except: client }
@@ -272,6 +316,7 @@ export class InputHandler {
       y: finalPos.y,
       dashCharges: player.dashCharges,
       hitWall: hitWall,
+      hitPlayerId: hitPlayer ? hitPlayer.id : null,
     });
 
     // Update processed sequence
@@ -307,7 +352,7 @@ export class InputHandler {
       if (player.dashCharges[i].available) {
         player.dashCharges[i].available = false;
         player.dashCharges[i].cooldownEndTime =
-          Date.now() + this.dashCooldown * 1000;
+          Date.now() + player.dashCooldown * 1000;
 
         // Set timeout to restore this specific charge
         this.startChargeCooldown(player, i);
@@ -354,7 +399,7 @@ export class InputHandler {
       }
 
       console.log(`Restored dash charge ${chargeIndex} for player ${playerId}`);
-    }, this.dashCooldown * 1000);
+    }, player.dashCooldown * 1000);
   }
 
   processAllInputs(deltaTime) {
@@ -367,6 +412,12 @@ export class InputHandler {
       const player = this.room.state.players.get(clientId);
       if (!player) continue;
 
+      // Players who fell through the floor can't move until the next floor
+      if (!player.onFloor || player.isSpectator) {
+        this.playerInputQueues.set(clientId, []);
+        continue;
+      }
+
       // Filter out duplicate sequence numbers (keep only the most recent for each seq)
       const uniqueInputs = [];
       const processedSeqs = new Set();
@@ -424,12 +475,19 @@ export class InputHandler {
 
     let lastProcessedInput = null;
     let hasCollided = false; // Track if any collision occurred
+    const canMove = this.room.statusEffectSystem.canAct(player);
 
     // Process each input
     for (const input of inputQueue) {
       // Skip if this is a dash input (handled separately)
       if (input.type === "dash") continue;
 
+      // Stunned players still acknowledge inputs so clients can reconcile
+      if (!canMove) {
+        lastProcessedInput = input;
+        continue;
+      }
+
       // Calculate movement amount
       const moveAmount = (player.moveSpeed * (input.delta || deltaTime)) / 1000;
 
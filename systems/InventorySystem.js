@@ -0,0 +1,182 @@
+// server/systems/InventorySystem.js
+import { BOON_CATALOG } from "./BoonCatalog.js";
+
+// Equipment slots, matching Item.type
+export const EQUIPMENT_SLOTS = ["weapon", "armor", "trinket"];
+
+/**
+ * InventorySystem - Backpack capacity and equipping items
+ *
+ * Unequipped items live in PlayerState.items, equipped items move to
+ * PlayerState.equipment under their slot.
+ */
+export class InventorySystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.capacity = 12; // Backpack slots, equipped items don't count
+  }
+
+  registerHandlers() {
+    // Equip an item from the backpack
+    this.room.onMessage("equipItem", (client, message) => {
+      this.handleEquip(client, message || {});
+    });
+
+    // Move an equipped item back to the backpack
+    this.room.onMessage("unequipItem", (client, message) => {
+      this.handleUnequip(client, message || {});
+    });
+
+    // Throw away an item from the backpack
+    this.room.onMessage("dropItem", (client, message) => {
+      this.handleDrop(client, message || {});
+    });
+  }
+
+  /**
+   * Add an item to a player's backpack
+   * @param {PlayerState} player - Player receiving the item
+   * @param {Item} item - Item to add
+   * @returns {boolean} - False if the backpack is full
+   */
+  addItem(player, item) {
+    if (player.items.length >= this.capacity) return false;
+
+    player.items.push(item);
+    return true;
+  }
+
+  /**
+   * Handle an equip request
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { itemId }
+   */
+  handleEquip(client, message) {
+    const player = this.room.state.players.get(client.id);
+    if (!player || !player.isAlive) return;
+
+    const index = player.items.findIndex((item) => item.id === message.itemId);
+    if (index === -1) {
+      this.reject(client, "equipItem", message.itemId, "notFound");
+      return;
+    }
+
+    const item = player.items[index];
+    if (!EQUIPMENT_SLOTS.includes(item.type)) {
+      this.reject(client, "equipItem", message.itemId, "notEquippable");
+      return;
+    }
+
+    // Swap out whatever is already in the slot
+    const previous = player.equipment.get(item.type);
+    player.items.splice(index, 1);
+    if (previous) {
+      player.items.push(previous);
+    }
+    player.equipment.set(item.type, item);
+
+    if (previous) {
+      this.updateItemAbility(player, previous, false);
+    }
+    this.updateItemAbility(player, item, true);
+    this.room.statsSystem.recalculate(player);
+
+    this.debug && console.log(`${player.name} equipped ${item.name} (${item.type})`);
+  }
+
+  /**
+   * Handle an unequip request
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { slot }
+   */
+  handleUnequip(client, message) {
+    const player = this.room.state.players.get(client.id);
+    if (!player || !player.isAlive) return;
+
+    const item = player.equipment.get(message.slot);
+    if (!item) {
+      this.reject(client, "unequipItem", null, "slotEmpty");
+      return;
+    }
+
+    if (player.items.length >= this.capacity) {
+      this.reject(client, "unequipItem", item.id, "inventoryFull");
+      return;
+    }
+
+    player.equipment.delete(message.slot);
+    player.items.push(item);
+
+    this.updateItemAbility(player, item, false);
+    this.room.statsSystem.recalculate(player);
+  }
+
+  /**
+   * Handle a drop request
+   * The item is left on the ground as remains anyone can pick up.
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { itemId }
+   */
+  handleDrop(client, message) {
+    const player = this.room.state.players.get(client.id);
+    if (!player || !player.isAlive || !player.onFloor) return;
+
+    const index = player.items.findIndex((item) => item.id === message.itemId);
+    if (index === -1) {
+      this.reject(client, "dropItem", message.itemId, "notFound");
+      return;
+    }
+
+    const [item] = player.items.splice(index, 1);
+    const remains = this.room.remainsSystem.dropItems(
+      player,
+      [item],
+      player.position.x,
+      player.position.y
+    );
+
+    this.room.broadcast("itemDropped", {
+      playerId: player.id,
+      itemId: item.id,
+      name: item.name,
+      x: player.position.x,
+      y: player.position.y,
+      remainsId: remains.id,
+    });
+  }
+
+  /**
+   * Grant or revoke the ability carried by an item
+   * @param {PlayerState} player - Item owner
+   * @param {Item} item - Item being equipped or unequipped
+   * @param {boolean} equipped - True when the item was just equipped
+   */
+  updateItemAbility(player, item, equipped) {
+    if (!item.ability) return;
+
+    const abilitySystem = this.room.abilitySystem;
+    if (equipped) {
+      abilitySystem.grantAbility(player, item.ability);
+      return;
+    }
+
+    // Keep the ability if a boon or another item still grants it
+    const fromBoon = player.boons.some(
+      (boonId) => BOON_CATALOG[boonId] && BOON_CATALOG[boonId].ability === item.ability
+    );
+    let fromItem = false;
+    player.equipment.forEach((other) => {
+      if (other !== item && other.ability === item.ability) fromItem = true;
+    });
+
+    if (!fromBoon && !fromItem) {
+      abilitySystem.revokeAbility(player, item.ability);
+    }
+  }
+
+  reject(client, action, itemId, reason) {
+    client.send("inventoryRejected", { action, itemId, reason });
+  }
+}
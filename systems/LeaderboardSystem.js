@@ -4,46 +4,40 @@ export class LeaderboardSystem {
     }
     
     updateLeaderboard() {
-      // Sort players by progress
-      const sortedPlayers = Object.entries(this.room.state.players)
-        .sort(([, a], [, b]) => {
-          // Primary sort by objectives completed
-          const aObjectives = a.completedObjectives ? a.completedObjectives.length : 0;
-          const bObjectives = b.completedObjectives ? b.completedObjectives.length : 0;
-          const objDiff = bObjectives - aObjectives;
-          
-          if (objDiff !== 0) return objDiff;
-          
-          // Secondary sort by progress
-          return (b.currentProgress || 0) - (a.currentProgress || 0);
-        })
-        .map(([id]) => id);
-      
-      // Update leaderboard in state
-      this.room.state.leaderboard = sortedPlayers;
-      
-      // Broadcast leaderboard update
+      // Ranks are kept up to date by the scoring system, just publish them
       this.room.broadcast("leaderboardUpdate", {
-        leaderboard: sortedPlayers.map((id, index) => {
-          const player = this.room.state.players[id];
-          if (!player) {
-            return {
-              id: id,
-              name: "Unknown",
-              rank: index + 1,
-              progress: 0,
-              completedObjectives: []
-            };
-          }
-          
+        leaderboard: this.getEntries()
+      });
+    }
+    
+    /**
+     * Build leaderboard entries with each player's score breakdown
+     * @returns {Array} - Entries in rank order
+     */
+    getEntries() {
+      const scoring = this.room.scoringSystem;
+      
+      return scoring.getRanking().map((id, index) => {
+        const player = this.room.state.players.get(id);
+        if (!player) {
           return {
             id: id,
-            name: player.name || "Unknown",
+            name: "Unknown",
             rank: index + 1,
-            progress: player.currentProgress || 0,
-            completedObjectives: player.completedObjectives || []
+            score: 0,
+            breakdown: {},
+            completedObjectives: []
           };
-        })
+        }
+        
+        return {
+          id: id,
+          name: player.name || "Unknown",
+          rank: index + 1,
+          score: scoring.getScore(id),
+          breakdown: scoring.getBreakdown(id),
+          completedObjectives: Array.from(player.completedObjectives)
+        };
       });
     }
-  }
\ No newline at end of file
+  }
@@ -0,0 +1,173 @@
+// server/systems/LootSystem.js
+import seedrandom from "seedrandom";
+import { Item } from "../schemas/Item.js";
+import { randomWeights } from "../dungeonGenerator/utils.js";
+import {
+  RARITY_TIERS,
+  ITEM_TEMPLATES,
+  LOOT_TABLES,
+  FLOOR_RARITY_BONUS,
+  FLOOR_GOLD_BONUS,
+} from "./LootTables.js";
+
+/**
+ * LootSystem - Rolls chest contents from loot tables and hands them out
+ *
+ * Every chest gets its own generator seeded from the floor seed and the
+ * chest's tile, so the same floor always produces the same loot.
+ */
+export class LootSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    // Temporary boosts, e.g. from the extra_loot event
+    this.goldMultiplier = 1;
+    this.bonusRolls = 0;
+  }
+
+  /**
+   * Roll the contents of a chest
+   * @param {number} tileX - Chest tile X
+   * @param {number} tileY - Chest tile Y
+   * @param {Object} mapData - Map the chest is on
+   * @returns {Object} - { gold, items } where items are Item schema instances
+   */
+  rollChest(tileX, tileY, mapData) {
+    const mapManager = this.room.mapManager;
+    const floorLevel = mapData.floorLevel || 1;
+    const rng = seedrandom(`${mapManager.floorSeed}:chest:${tileX},${tileY}`);
+
+    const roomAt = mapManager.getRoomAt(tileX, tileY, mapData);
+    const table = LOOT_TABLES[roomAt && roomAt.type] || LOOT_TABLES.default;
+
+    const goldScale = 1 + (floorLevel - 1) * FLOOR_GOLD_BONUS;
+    const gold = Math.round(this.rollRange(table.gold, rng) * goldScale * this.goldMultiplier);
+
+    const rarityBonus = table.rarityBonus + (floorLevel - 1) * FLOOR_RARITY_BONUS;
+    const rolls = this.rollRange(table.rolls, rng) + this.bonusRolls;
+    const items = [];
+
+    for (let i = 0; i < rolls; i++) {
+      const templateId = this.pickWeighted(table.items, rng);
+      const rarity = this.rollRarity(rarityBonus, rng);
+
+      items.push(
+        this.createItem(templateId, rarity, `loot_${floorLevel}_${tileX}_${tileY}_${i}`)
+      );
+    }
+
+    return { gold, items };
+  }
+
+  /**
+   * Roll a rarity tier, with rarer tiers boosted by the bonus
+   * @param {number} bonus - Rarity bonus from the table and floor
+   * @param {Function} rng - Random number generator
+   * @returns {string} - Rarity tier name
+   */
+  rollRarity(bonus, rng) {
+    const weights = {};
+    Object.entries(RARITY_TIERS).forEach(([tier, { weight }], index) => {
+      weights[tier] = weight * (1 + bonus * index);
+    });
+
+    return this.pickWeighted(weights, rng);
+  }
+
+  /**
+   * Pick a key from a { key: weight } object
+   * @param {Object} weightedValues - Relative weights by key
+   * @param {Function} rng - Random number generator
+   * @returns {string} - Picked key
+   */
+  pickWeighted(weightedValues, rng) {
+    const values = Object.keys(weightedValues);
+    const total = values.reduce((sum, value) => sum + weightedValues[value], 0);
+
+    // randomWeights expects weights that add up to 1
+    const weights = values.map((value) => weightedValues[value] / total);
+
+    return randomWeights(weights, values, rng);
+  }
+
+  rollRange([min, max], rng) {
+    return Math.floor(rng() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Create an item from a template at a rarity
+   * @param {string} templateId - ITEM_TEMPLATES ID
+   * @param {string} rarity - Rarity tier name
+   * @param {string} id - Unique item ID
+   * @returns {Item} - Item schema instance
+   */
+  createItem(templateId, rarity, id) {
+    const template = ITEM_TEMPLATES[templateId];
+    const multiplier = RARITY_TIERS[rarity].statMultiplier;
+
+    const item = new Item();
+    item.id = id;
+    item.name = template.name;
+    item.type = template.type;
+    item.rarity = rarity;
+    item.ability = template.ability || "";
+
+    // Rarity only scales bonuses, penalties stay as they are
+    for (const [stat, value] of Object.entries(template.stats)) {
+      const scaled = value > 0 ? value * multiplier : value;
+
+      // Whole-number stats stay whole, fractions (crit) keep two decimals
+      item.stats.set(
+        stat,
+        Number.isInteger(value) ? Math.round(scaled) : Math.round(scaled * 100) / 100
+      );
+    }
+
+    return item;
+  }
+
+  /**
+   * Open a chest for a player, granting its gold and items
+   * @param {PlayerState} player - Player opening the chest
+   * @param {number} tileX - Chest tile X
+   * @param {number} tileY - Chest tile Y
+   * @returns {Object} - { gold, items, leftBehind, remainsId } where items were granted
+   */
+  openChest(player, tileX, tileY) {
+    const loot = this.rollChest(tileX, tileY, this.room.mapManager.currentMap);
+
+    player.gold += loot.gold;
+
+    const items = [];
+    const overflow = [];
+    loot.items.forEach((item) => {
+      if (this.room.inventorySystem.addItem(player, item)) {
+        items.push(item);
+      } else {
+        overflow.push(item);
+      }
+    });
+
+    // Items that don't fit in the backpack stay on the chest tile to claim later
+    const tileSize = this.room.remainsSystem.getTileSize();
+    const remains = this.room.remainsSystem.dropItems(
+      player,
+      overflow,
+      (tileX + 0.5) * tileSize,
+      (tileY + 0.5) * tileSize
+    );
+
+    this.debug &&
+      console.log(
+        `${player.name} looted ${loot.gold} gold and ${items.length} items at (${tileX}, ${tileY})`
+      );
+
+    return {
+      gold: loot.gold,
+      items,
+      leftBehind: overflow.length,
+      remainsId: remains ? remains.id : null,
+    };
+  }
+}
@@ -0,0 +1,105 @@
+// server/systems/LootTables.js
+
+/**
+ * Loot tables for chests, keyed by the type of room the chest is in
+ */
+
+/**
+ * Rarity tiers, from most to least common
+ * - weight: base chance of rolling this tier
+ * - statMultiplier: scales the item template's positive stats
+ */
+export const RARITY_TIERS = {
+  common: { weight: 60, statMultiplier: 1.0 },
+  uncommon: { weight: 25, statMultiplier: 1.25 },
+  rare: { weight: 10, statMultiplier: 1.5 },
+  epic: { weight: 4, statMultiplier: 2.0 },
+  legendary: { weight: 1, statMultiplier: 3.0 },
+};
+
+/**
+ * Item templates
+ * - type: equipment slot (weapon, armor, trinket)
+ * - stats: stat modifiers before rarity scaling
+ * - ability: optional AbilityCatalog ID granted while equipped
+ */
+export const ITEM_TEMPLATES = {
+  // Weapons
+  dagger: { name: "Dagger", type: "weapon", stats: { damage: 2, critChance: 0.05 } },
+  short_sword: { name: "Short Sword", type: "weapon", stats: { damage: 4 } },
+  war_axe: { name: "War Axe", type: "weapon", stats: { damage: 7, critMultiplier: 0.25 } },
+  ember_wand: { name: "Ember Wand", type: "weapon", stats: { damage: 2 }, ability: "fire_bolt" },
+
+  // Armor
+  leather_armor: { name: "Leather Armor", type: "armor", stats: { defense: 3 } },
+  chainmail: { name: "Chainmail", type: "armor", stats: { defense: 6, moveSpeed: -10 } },
+  plate_armor: { name: "Plate Armor", type: "armor", stats: { defense: 10, moveSpeed: -25 } },
+
+  // Trinkets
+  lucky_charm: { name: "Lucky Charm", type: "trinket", stats: { critChance: 0.04 } },
+  ring_of_vigor: { name: "Ring of Vigor", type: "trinket", stats: { maxHealth: 20 } },
+  boots_of_haste: { name: "Boots of Haste", type: "trinket", stats: { moveSpeed: 30 } },
+  blink_amulet: {
+    name: "Blink Amulet", type: "trinket", stats: { dashCooldown: -0.25 }, ability: "shadow_step",
+  },
+  totem_of_mending: {
+    name: "Totem of Mending", type: "trinket", stats: { maxHealth: 10 }, ability: "mend",
+  },
+};
+
+/**
+ * Loot table fields:
+ * - rolls: [min, max] number of items
+ * - gold: [min, max] gold before floor scaling
+ * - rarityBonus: shifts rarity weights towards rarer tiers
+ * - items: item template ID -> relative weight
+ */
+export const LOOT_TABLES = {
+  default: {
+    rolls: [1, 1],
+    gold: [10, 30],
+    rarityBonus: 0,
+    items: {
+      dagger: 3, short_sword: 3, leather_armor: 3, lucky_charm: 1, ring_of_vigor: 1,
+    },
+  },
+  monsters: {
+    rolls: [1, 2],
+    gold: [15, 40],
+    rarityBonus: 0.25,
+    items: {
+      dagger: 2, short_sword: 3, war_axe: 1, leather_armor: 3, chainmail: 2,
+      lucky_charm: 1, ring_of_vigor: 1,
+    },
+  },
+  treasure: {
+    rolls: [2, 3],
+    gold: [40, 80],
+    rarityBonus: 1,
+    items: {
+      short_sword: 2, war_axe: 2, chainmail: 2, plate_armor: 1,
+      lucky_charm: 2, ring_of_vigor: 2, boots_of_haste: 2, blink_amulet: 1, ember_wand: 1,
+    },
+  },
+  boss: {
+    rolls: [3, 4],
+    gold: [80, 150],
+    rarityBonus: 2,
+    items: {
+      war_axe: 3, plate_armor: 3, lucky_charm: 1, ring_of_vigor: 1, boots_of_haste: 1,
+      blink_amulet: 1, ember_wand: 1,
+    },
+  },
+  heal: {
+    rolls: [1, 1],
+    gold: [5, 15],
+    rarityBonus: 0,
+    items: { ring_of_vigor: 3, leather_armor: 1, totem_of_mending: 1 },
+  },
+};
+
+// Rarity bonus added per floor below the first
+export const FLOOR_RARITY_BONUS = 0.3;
+
+// Gold multiplier added per floor below the first
+export const FLOOR_GOLD_BONUS = 0.25;
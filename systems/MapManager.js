@@ -1,8 +1,12 @@
 // systems/MapManager.js - Updated to use the new dungeon generator
 
+import seedrandom from "seedrandom";
 import { generate } from "../dungeonGenerator/dungeon.js";
-import { generateV3 } from "../dungeonGenerator/dungeonV3.js";
+import { generateV3, computeTilesMask } from "../dungeonGenerator/dungeonV3.js";
+import { createTilemap } from "../dungeonGenerator/utils.js";
 import { addSpawnRooms } from "../dungeonGenerator/spawnRoomGenerator.js";
+import { generateDoors } from "../dungeonGenerator/doorGenerator.js";
+import { generatePortals } from "../dungeonGenerator/portalGenerator.js";
 import roomTemplates from "../dungeonGenerator/roomTemplates.js";
 
 /**
@@ -13,12 +17,20 @@ export class MapManager {
     this.room = room;
     this.currentMap = null;
     this.floorLevel = 1;
+    this.floorSeed = null; // Seed the current floor was generated from
     this.tileSize = 64; // Pixels per tile
     this.debug = false;
 
     // Map dimensions in TILES (not pixels)
     this.worldTileWidth = 512; // 20,000 ÷ 64 ≈ 312 tiles wide
     this.worldTileHeight = 512; // 20,000 ÷ 64 ≈ 312 tiles high
+
+    // Gauntlet arena dimensions in TILES
+    this.gauntletArenaSize = 16; // Floor tiles per arena side
+    this.gauntletArenaSpacing = 6; // Solid wall tiles between arenas
+
+    // Final showdown arena size in TILES
+    this.showdownArenaSize = 20;
   }
 
   /**
@@ -75,6 +87,17 @@ export class MapManager {
       `Generated floor ${this.floorLevel} with dungeon size ${dungeonSize}x${dungeonSize}`
     );
 
+    // Build server-side collision, then close doors on top of it
+    this.updateCollisionMap();
+    this.room.doorSystem.spawnFromMap(this.currentMap);
+    this.room.portalSystem.spawnFromMap(this.currentMap);
+    this.room.remainsSystem.clear();
+
+    // Populate the floor with monsters from the generated layer
+    if (this.room.monsterSystem) {
+      this.room.monsterSystem.spawnFromMap(this.currentMap);
+    }
+
     // Broadcast map to all clients
     this.broadcastMapData();
 
@@ -115,6 +138,17 @@ export class MapManager {
       `Generated floor ${this.floorLevel} with dungeon size ${dungeonSize}x${dungeonSize}`
     );
 
+    // Rebuild server-side collision for the new floor, then close doors on top of it
+    this.updateCollisionMap();
+    this.room.doorSystem.spawnFromMap(this.currentMap);
+    this.room.portalSystem.spawnFromMap(this.currentMap);
+    this.room.remainsSystem.clear();
+
+    // Populate the floor with monsters from the generated layer
+    if (this.room.monsterSystem) {
+      this.room.monsterSystem.spawnFromMap(this.currentMap);
+    }
+
     // Broadcast map to all clients
     this.broadcastMapData();
 
@@ -124,6 +158,219 @@ export class MapManager {
     return this.currentMap;
   }
 
+  /**
+   * Generate a map of isolated arenas for the gauntlet phase
+   * @param {number} count - Number of arenas to create
+   * @returns {Object} - Generated map data with an `arenas` list
+   */
+  generateGauntletArenas(count) {
+    const arenaSize = this.gauntletArenaSize;
+    const spacing = this.gauntletArenaSpacing;
+
+    // Lay arenas out in a roughly square grid
+    const columns = Math.max(1, Math.ceil(Math.sqrt(count)));
+    const rows = Math.max(1, Math.ceil(count / columns));
+
+    const arenas = [];
+    for (let i = 0; i < count; i++) {
+      arenas.push({
+        id: `arena_${i}`,
+        x: spacing + (i % columns) * (arenaSize + spacing),
+        y: spacing + Math.floor(i / columns) * (arenaSize + spacing),
+        width: arenaSize,
+        height: arenaSize,
+        type: "gauntlet",
+        isSpawn: false,
+      });
+    }
+
+    this.currentMap = this.createArenaMap(
+      arenas,
+      columns * (arenaSize + spacing) + spacing,
+      rows * (arenaSize + spacing) + spacing,
+      "gauntlet"
+    );
+
+    console.log(
+      `Generated ${count} gauntlet arenas (${this.currentMap.dungeonTileWidth}x${this.currentMap.dungeonTileHeight} tiles)`
+    );
+
+    // Rebuild server-side collision for the arenas (arenas have no doors or portals)
+    this.updateCollisionMap();
+    this.room.doorSystem.spawnFromMap(this.currentMap);
+    this.room.portalSystem.spawnFromMap(this.currentMap);
+    this.room.remainsSystem.clear();
+
+    // Broadcast map to all clients
+    this.broadcastMapData();
+
+    return this.currentMap;
+  }
+
+  /**
+   * Generate the single small arena for the final showdown
+   * @returns {Object} - Generated map data with a one-entry `arenas` list
+   */
+  generateShowdownArena() {
+    const arenaSize = this.showdownArenaSize;
+    const spacing = this.gauntletArenaSpacing;
+
+    const arena = {
+      id: "showdown",
+      x: spacing,
+      y: spacing,
+      width: arenaSize,
+      height: arenaSize,
+      type: "showdown",
+      isSpawn: false,
+    };
+
+    this.currentMap = this.createArenaMap(
+      [arena],
+      arenaSize + spacing * 2,
+      arenaSize + spacing * 2,
+      "showdown"
+    );
+
+    console.log(`Generated showdown arena (${arenaSize}x${arenaSize} tiles)`);
+
+    // Rebuild server-side collision for the arena
+    this.updateCollisionMap();
+    this.room.doorSystem.spawnFromMap(this.currentMap);
+    this.room.portalSystem.spawnFromMap(this.currentMap);
+    this.room.remainsSystem.clear();
+
+    // Broadcast map to all clients
+    this.broadcastMapData();
+
+    return this.currentMap;
+  }
+
+  /**
+   * Build client map data for a set of open rectangular arenas
+   * @param {Array} arenas - Arena rectangles in tile coordinates
+   * @param {number} width - Map width in tiles
+   * @param {number} height - Map height in tiles
+   * @param {string} idPrefix - Prefix for the map ID
+   * @returns {Object} - Map data in the same shape as dungeon floors
+   */
+  createArenaMap(arenas, width, height, idPrefix) {
+    let tiles = createTilemap(width, height, 1);
+
+    // Carve every arena out of solid rock
+    arenas.forEach((arena) => {
+      for (let y = arena.y; y < arena.y + arena.height; y++) {
+        for (let x = arena.x; x < arena.x + arena.width; x++) {
+          tiles[y][x] = 0;
+        }
+      }
+    });
+
+    // Compute wall variants the same way the dungeon generator does
+    tiles = computeTilesMask(tiles);
+
+    return {
+      worldTileWidth: this.worldTileWidth,
+      worldTileHeight: this.worldTileHeight,
+      dungeonTileWidth: width,
+      dungeonTileHeight: height,
+      floorLevel: this.floorLevel,
+      tileSize: this.tileSize,
+      spawnPoints: [],
+      layers: {
+        tiles,
+        props: createTilemap(width, height, 0),
+        monsters: createTilemap(width, height, 0),
+      },
+      mainDungeon: { x: 0, y: 0, width, height },
+      structural: {
+        rooms: arenas,
+        corridors: [],
+        spawnRooms: [],
+      },
+      hierarchicalTree: {
+        bounds: { x: 0, y: 0, width, height, id: "root", type: "dungeon" },
+        children: arenas.map((arena) => ({
+          bounds: {
+            x: arena.x,
+            y: arena.y,
+            width: arena.width,
+            height: arena.height,
+            id: arena.id,
+            type: "dungeon",
+          },
+          children: [],
+        })),
+      },
+      arenas,
+      id: `${idPrefix}_${this.floorLevel}_${Date.now()}`,
+    };
+  }
+
+  /**
+   * Teleport a group of players into an arena, spread around its center
+   * @param {Object} arena - Arena rectangle in tile coordinates
+   * @param {Array} playerIds - IDs of players to teleport
+   */
+  teleportPlayersToArena(arena, playerIds) {
+    const centerX = (arena.x + arena.width / 2) * this.tileSize;
+    const centerY = (arena.y + arena.height / 2) * this.tileSize;
+    const radius = (Math.min(arena.width, arena.height) / 3) * this.tileSize;
+
+    playerIds.forEach((id, index) => {
+      const player = this.room.state.players.get(id);
+      if (!player) return;
+
+      // Place players evenly on a circle so nobody starts on top of another
+      const angle = (index / playerIds.length) * Math.PI * 2;
+      player.position.x = centerX + Math.cos(angle) * radius;
+      player.position.y = centerY + Math.sin(angle) * radius;
+      player.onFloor = true;
+
+      const client = this.room.clients.find((c) => c.id === id);
+      if (client) {
+        client.send("teleported", {
+          x: player.position.x,
+          y: player.position.y,
+          floorLevel: this.floorLevel,
+          arenaId: arena.id,
+        });
+      }
+    });
+  }
+
+  /**
+   * Find the room (or spawn room) containing a tile
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @param {Object} mapData - Map to search (defaults to the current map)
+   * @returns {Object|null} - Room data {id, x, y, width, height, type} or null
+   */
+  getRoomAt(tileX, tileY, mapData = this.currentMap) {
+    if (!mapData || !mapData.structural) return null;
+
+    const { rooms = [], spawnRooms = [] } = mapData.structural;
+
+    return (
+      [...rooms, ...spawnRooms].find(
+        (room) =>
+          tileX >= room.x &&
+          tileX < room.x + room.width &&
+          tileY >= room.y &&
+          tileY < room.y + room.height
+      ) || null
+    );
+  }
+
+  /**
+   * Rebuild the collision map from the current map
+   */
+  updateCollisionMap() {
+    if (this.room.collisionSystem && this.currentMap) {
+      this.room.collisionSystem.initCollisionMap(this.currentMap);
+    }
+  }
+
   /**
    * Generate a dungeon using the new V3 generator
    * @param {Object} options - Generation options
@@ -165,6 +412,9 @@ export class MapManager {
     console.log("Generating dungeon with V3 generator:", generatorConfig);
     const dungeonData = generateV3(generatorConfig);
 
+    // Kept server-side so clients can't predict seeded rolls such as chest loot
+    this.floorSeed = generatorConfig.seed;
+
     if (this.debug) {
       console.log(
         `V3 dungeon generated with size ${dungeonSize}x${dungeonSize}, including buffer zones`
@@ -193,6 +443,14 @@ export class MapManager {
     // Add room and corridor structural data
     const structuralData = this.extractStructuralData(dungeonData.tree);
 
+    // Doors where corridors open into dungeon rooms (spawn rooms stay open)
+    const doors = generateDoors(dungeonData.layers.tiles, structuralData.rooms);
+
+    // Linked portal pairs between distant rooms
+    const portals = generatePortals(dungeonData.layers, structuralData.rooms, {
+      rng: seedrandom(`${this.floorSeed}:portals`),
+    });
+
     // Return a format that includes both raw layer data and higher-level info
     return {
       // World dimensions in tiles
@@ -225,6 +483,9 @@ export class MapManager {
         spawnRooms: structuralData.spawnRooms,
       },
 
+      doors,
+      portals,
+
       hierarchicalTree: this.extractSimplifiedTree(dungeonData.tree),
 
       // Store a unique map ID for reference
@@ -369,7 +630,7 @@ export class MapManager {
     }
 
     // Get all players
-    const players = Object.entries(this.room.state.players || {});
+    const players = Array.from(this.room.state.players.entries());
 
     // Skip if no players
     if (players.length === 0) {
@@ -396,6 +657,7 @@ export class MapManager {
       // Update player position
       player.position.x = worldX;
       player.position.y = worldY;
+      player.onFloor = true;
 
       // Add player ID to spawn point for tracking
       spawn.playerId = id;
@@ -0,0 +1,660 @@
+// server/systems/MonsterAI.js
+
+/**
+ * Behaviour parameters per monster type, keyed by MonsterType name
+ *
+ * Ranges are in pixels, times in seconds:
+ * - aggroRange: distance at which a player is noticed
+ * - leashRange: maximum distance from the spawn point before giving up
+ * - attackRange: reach from the monster's edge to the target's edge
+ * - attackCooldown: time between attacks
+ * - reactionTime: pause between noticing a player and chasing
+ * - patrols: whether the monster wanders around its spawn room when idle
+ * - patrolRadius: how far (in tiles) a patrol may wander from the spawn tile
+ * - idleTime: [min, max] pause between patrols
+ * - chaseSpeed: move speed multiplier while chasing
+ * - alertRadius: allies of the same type within this range join the chase
+ * - projectile: optional { speed, range, radius } for ranged monsters, which
+ *   fire at their target instead of striking and need line of sight to attack
+ */
+export const MONSTER_BEHAVIOURS = {
+  Bandit: {
+    aggroRange: 320, leashRange: 640, attackRange: 36, attackCooldown: 1.0,
+    reactionTime: 0.3, patrols: true, patrolRadius: 5, idleTime: [1, 3],
+    chaseSpeed: 1.0, alertRadius: 256,
+  },
+  CentaurFemale: {
+    aggroRange: 420, leashRange: 800, attackRange: 280, attackCooldown: 1.6,
+    reactionTime: 0.2, patrols: true, patrolRadius: 8, idleTime: [1, 2],
+    chaseSpeed: 1.1, alertRadius: 0,
+    projectile: { speed: 520, range: 480, radius: 8 },
+  },
+  CentaurMale: {
+    aggroRange: 400, leashRange: 800, attackRange: 240, attackCooldown: 1.8,
+    reactionTime: 0.2, patrols: true, patrolRadius: 8, idleTime: [1, 2],
+    chaseSpeed: 1.1, alertRadius: 0,
+    projectile: { speed: 440, range: 420, radius: 10 },
+  },
+  MushroomLarge: {
+    aggroRange: 160, leashRange: 320, attackRange: 32, attackCooldown: 1.8,
+    reactionTime: 0.6, patrols: false, patrolRadius: 0, idleTime: [2, 4],
+    chaseSpeed: 1.0, alertRadius: 192,
+  },
+  MushroomSmall: {
+    aggroRange: 160, leashRange: 320, attackRange: 24, attackCooldown: 1.2,
+    reactionTime: 0.5, patrols: false, patrolRadius: 0, idleTime: [2, 4],
+    chaseSpeed: 1.0, alertRadius: 192,
+  },
+  Skeleton: {
+    aggroRange: 300, leashRange: 600, attackRange: 36, attackCooldown: 1.1,
+    reactionTime: 0.4, patrols: true, patrolRadius: 4, idleTime: [2, 4],
+    chaseSpeed: 1.0, alertRadius: 0,
+  },
+  Troll: {
+    aggroRange: 240, leashRange: 480, attackRange: 56, attackCooldown: 2.2,
+    reactionTime: 0.8, patrols: false, patrolRadius: 0, idleTime: [3, 6],
+    chaseSpeed: 0.9, alertRadius: 0,
+  },
+  Wolf: {
+    aggroRange: 420, leashRange: 960, attackRange: 28, attackCooldown: 0.7,
+    reactionTime: 0.1, patrols: true, patrolRadius: 6, idleTime: [0.5, 2],
+    chaseSpeed: 1.25, alertRadius: 384,
+  },
+};
+
+// Fallback for monster types without tuned behaviour
+const DEFAULT_BEHAVIOUR = MONSTER_BEHAVIOURS.Skeleton;
+
+/**
+ * MonsterAI - Per-tick behaviour state machine for monsters
+ *
+ * States: idle -> patrol -> idle, any -> aggro -> chase <-> attack, chase -> leash -> idle
+ */
+export class MonsterAI {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.scanInterval = 0.25; // seconds between player scans per monster
+    this.packSize = 3; // Monsters chasing one player share a flow field from this many on
+    this.regenRate = 0.2; // Fraction of max health regained per second out of combat
+    this.chasers = new Map(); // Player ID -> number of monsters chasing them this tick
+  }
+
+  /**
+   * Count how many monsters are chasing each player, once per tick
+   * @param {MapSchema} monsters - All monsters in the room
+   */
+  countChasers(monsters) {
+    this.chasers.clear();
+    monsters.forEach((monster) => {
+      if (monster.state !== "chase" || !monster.ai || !monster.ai.targetId) return;
+
+      const targetId = monster.ai.targetId;
+      this.chasers.set(targetId, (this.chasers.get(targetId) || 0) + 1);
+    });
+  }
+
+  /**
+   * Get behaviour parameters for a monster
+   * @param {MonsterState} monster - Monster state
+   * @returns {Object} - Behaviour parameters
+   */
+  getBehaviour(monster) {
+    return MONSTER_BEHAVIOURS[monster.type] || DEFAULT_BEHAVIOUR;
+  }
+
+  /**
+   * Advance a monster's behaviour by one tick
+   * @param {MonsterState} monster - Monster state
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(monster, deltaTime) {
+    if (!monster.isAlive) return;
+
+    const behaviour = this.getBehaviour(monster);
+    const ai = this.getBrain(monster, behaviour);
+    const dt = deltaTime / 1000;
+
+    ai.stateTime += dt;
+    ai.attackTimer = Math.max(0, ai.attackTimer - dt);
+
+    // Look for players while not busy with one
+    if (monster.state === "idle" || monster.state === "patrol") {
+      ai.scanTimer -= dt;
+      if (ai.scanTimer <= 0) {
+        ai.scanTimer = this.scanInterval;
+
+        const target = this.findTarget(monster, behaviour);
+        if (target) {
+          this.startAggro(monster, target);
+          this.alertAllies(monster, behaviour, target);
+        }
+      }
+    }
+
+    // Out of a fight, monsters slowly heal back up
+    if (monster.state === "idle" || monster.state === "patrol" || monster.state === "leash") {
+      this.regenerate(monster, ai, dt);
+    }
+
+    switch (monster.state) {
+      case "idle":
+        this.updateIdle(monster, behaviour, ai);
+        break;
+      case "patrol":
+        this.updatePatrol(monster, behaviour, ai, dt);
+        break;
+      case "aggro":
+        this.updateAggro(monster, behaviour, ai);
+        break;
+      case "chase":
+        this.updateChase(monster, behaviour, ai, dt);
+        break;
+      case "attack":
+        this.updateAttack(monster, behaviour, ai);
+        break;
+      case "leash":
+        this.updateLeash(monster, behaviour, ai, dt);
+        break;
+      default:
+        this.setState(monster, "idle");
+    }
+  }
+
+  /**
+   * Get or create the server-side brain for a monster
+   * @param {MonsterState} monster - Monster state
+   * @param {Object} behaviour - Behaviour parameters
+   * @returns {Object} - AI memory
+   */
+  getBrain(monster, behaviour) {
+    if (!monster.ai) {
+      monster.ai = {
+        stateTime: 0,
+        idleDuration: this.randomBetween(behaviour.idleTime),
+        scanTimer: Math.random() * this.scanInterval, // Stagger scans
+        attackTimer: 0,
+        targetId: null,
+        patrolTarget: null,
+        path: null, // Remaining waypoints when walking around walls
+        pathGoal: null, // Tile key the current path leads to
+        blocked: false,
+        regen: 0, // Healing not applied yet, health only goes up in whole points
+      };
+    }
+
+    return monster.ai;
+  }
+
+  setState(monster, state) {
+    if (monster.state === state) return;
+
+    this.debug &&
+      console.log(`Monster ${monster.id}: ${monster.state} -> ${state}`);
+
+    monster.state = state;
+    monster.ai.stateTime = 0;
+  }
+
+  updateIdle(monster, behaviour, ai) {
+    if (!behaviour.patrols || ai.stateTime < ai.idleDuration) return;
+
+    ai.patrolTarget = this.pickPatrolTarget(monster, behaviour);
+    if (ai.patrolTarget) {
+      this.setState(monster, "patrol");
+    } else {
+      ai.idleDuration = this.randomBetween(behaviour.idleTime);
+      ai.stateTime = 0;
+    }
+  }
+
+  updatePatrol(monster, behaviour, ai, dt) {
+    const target = ai.patrolTarget;
+    const arrived =
+      !target || this.moveTowards(monster, target.x, target.y, monster.moveSpeed * dt);
+
+    // Arrived, or a wall is in the way
+    if (arrived || ai.blocked) {
+      ai.patrolTarget = null;
+      ai.idleDuration = this.randomBetween(behaviour.idleTime);
+      this.setState(monster, "idle");
+    }
+  }
+
+  updateAggro(monster, behaviour, ai) {
+    if (!this.getTarget(ai)) {
+      this.setState(monster, "leash");
+      return;
+    }
+
+    // Short reaction pause so clients can telegraph the aggro
+    if (ai.stateTime >= behaviour.reactionTime) {
+      this.setState(monster, "chase");
+    }
+  }
+
+  updateChase(monster, behaviour, ai, dt) {
+    const target = this.getTarget(ai);
+    if (!target || this.isBeyondLeash(monster, behaviour)) {
+      ai.targetId = null;
+      this.setState(monster, "leash");
+      return;
+    }
+
+    if (this.isInAttackRange(monster, behaviour, target)) {
+      this.setState(monster, "attack");
+      return;
+    }
+
+    const maxDistance = monster.moveSpeed * behaviour.chaseSpeed * dt;
+
+    // A pack shares one flow field to its target instead of planning a path each
+    if ((this.chasers.get(target.id) || 0) >= this.packSize) {
+      this.moveAlongFlowField(monster, target.position.x, target.position.y, maxDistance);
+      return;
+    }
+
+    this.moveAlongPath(monster, target.position.x, target.position.y, maxDistance);
+  }
+
+  updateAttack(monster, behaviour, ai) {
+    const target = this.getTarget(ai);
+    if (!target) {
+      ai.targetId = null;
+      this.setState(monster, "leash");
+      return;
+    }
+
+    if (!this.isInAttackRange(monster, behaviour, target)) {
+      this.setState(monster, "chase");
+      return;
+    }
+
+    if (ai.attackTimer > 0) return;
+    ai.attackTimer = behaviour.attackCooldown;
+
+    this.room.broadcast("monsterAttacked", {
+      id: monster.id,
+      targetId: target.id,
+      x: monster.position.x,
+      y: monster.position.y,
+    });
+
+    // Ranged monsters fire a projectile, damage is rolled when it lands
+    if (behaviour.projectile) {
+      this.room.projectileSystem.spawn(monster, {
+        ...behaviour.projectile,
+        direction: {
+          x: target.position.x - monster.position.x,
+          y: target.position.y - monster.position.y,
+        },
+        source: "monster",
+      });
+      return;
+    }
+
+    const combat = this.room.combatSystem;
+    const { amount, isCrit } = combat.rollDamage(monster.stats, target.stats);
+    const result = combat.applyDamage(target, amount, {
+      attacker: monster,
+      isCrit,
+      source: "monster",
+    });
+
+    if (!result.killed) {
+      this.room.physicsSystem.applyHitImpulse(target, monster.position.x, monster.position.y);
+    }
+  }
+
+  updateLeash(monster, behaviour, ai, dt) {
+    const home = this.getHomePosition(monster);
+    const arrived = this.moveAlongFlowField(
+      monster,
+      home.x,
+      home.y,
+      monster.moveSpeed * behaviour.chaseSpeed * dt
+    );
+
+    // Home, or no way back (e.g. behind a closed door): settle down where it is
+    if (arrived || ai.blocked) {
+      ai.idleDuration = this.randomBetween(behaviour.idleTime);
+      this.setState(monster, "idle");
+    }
+  }
+
+  regenerate(monster, ai, dt) {
+    const stats = monster.stats;
+    if (stats.health >= stats.maxHealth) {
+      ai.regen = 0;
+      return;
+    }
+
+    ai.regen += stats.maxHealth * this.regenRate * dt;
+    const healed = Math.floor(ai.regen);
+    if (healed <= 0) return;
+
+    ai.regen -= healed;
+    stats.health = Math.min(stats.maxHealth, stats.health + healed);
+  }
+
+  /**
+   * Find the closest alive player within aggro range and line of sight
+   * @param {MonsterState} monster - Monster state
+   * @param {Object} behaviour - Behaviour parameters
+   * @returns {PlayerState|null} - Target player
+   */
+  findTarget(monster, behaviour) {
+    const collisionSystem = this.room.collisionSystem;
+    let closest = null;
+    let closestDistance = behaviour.aggroRange;
+
+    this.room.state.players.forEach((player) => {
+      if (!player.isAlive || !player.onFloor || player.id === monster.ownerId) return;
+
+      const distance = this.distanceTo(monster, player.position.x, player.position.y);
+      if (distance > closestDistance) return;
+
+      if (
+        collisionSystem &&
+        !collisionSystem.hasLineOfSight(
+          monster.position.x,
+          monster.position.y,
+          player.position.x,
+          player.position.y
+        )
+      ) {
+        return;
+      }
+
+      closest = player;
+      closestDistance = distance;
+    });
+
+    return closest;
+  }
+
+  startAggro(monster, target) {
+    monster.ai.targetId = target.id;
+    this.setState(monster, "aggro");
+
+    this.room.broadcast("monsterAggro", {
+      id: monster.id,
+      targetId: target.id,
+    });
+  }
+
+  /**
+   * Pull nearby idle allies of the same type into the fight
+   * @param {MonsterState} monster - Monster that spotted the target
+   * @param {Object} behaviour - Behaviour parameters
+   * @param {PlayerState} target - Target player
+   */
+  alertAllies(monster, behaviour, target) {
+    if (!behaviour.alertRadius) return;
+
+    this.room.state.monsters.forEach((ally) => {
+      if (ally === monster || !ally.isAlive || ally.type !== monster.type) return;
+      if (ally.state !== "idle" && ally.state !== "patrol") return;
+
+      const distance = this.distanceTo(ally, monster.position.x, monster.position.y);
+      if (distance > behaviour.alertRadius) return;
+
+      this.getBrain(ally, behaviour);
+      this.startAggro(ally, target);
+    });
+  }
+
+  getTarget(ai) {
+    if (!ai.targetId) return null;
+
+    const target = this.room.state.players.get(ai.targetId);
+    return target && target.isAlive && target.onFloor ? target : null;
+  }
+
+  isInAttackRange(monster, behaviour, target) {
+    const playerRadius = this.room.collisionSystem
+      ? this.room.collisionSystem.playerRadius
+      : 20;
+    const reach = monster.radius + behaviour.attackRange + playerRadius;
+    if (this.distanceTo(monster, target.position.x, target.position.y) > reach) return false;
+
+    // Ranged monsters keep closing in until they have a clear shot
+    if (behaviour.projectile && this.room.collisionSystem) {
+      return this.room.collisionSystem.hasLineOfSight(
+        monster.position.x,
+        monster.position.y,
+        target.position.x,
+        target.position.y
+      );
+    }
+
+    return true;
+  }
+
+  isBeyondLeash(monster, behaviour) {
+    const home = this.getHomePosition(monster);
+    return this.distanceTo(monster, home.x, home.y) > behaviour.leashRange;
+  }
+
+  getHomePosition(monster) {
+    // Summons return to their owner instead of their spawn tile
+    const owner = monster.ownerId
+      ? this.room.state.players.get(monster.ownerId)
+      : null;
+    if (owner && owner.isAlive) {
+      return { x: owner.position.x, y: owner.position.y };
+    }
+
+    const tileSize = this.room.collisionSystem
+      ? this.room.collisionSystem.tileSize
+      : 64;
+
+    return {
+      x: (monster.spawnTileX + 0.5) * tileSize,
+      y: (monster.spawnTileY + 0.5) * tileSize,
+    };
+  }
+
+  /**
+   * Pick a random floor tile near the spawn point, inside the spawn room
+   * @param {MonsterState} monster - Monster state
+   * @param {Object} behaviour - Behaviour parameters
+   * @returns {Object|null} - World position {x, y} or null if none found
+   */
+  pickPatrolTarget(monster, behaviour) {
+    const collisionSystem = this.room.collisionSystem;
+    const tileSize = collisionSystem ? collisionSystem.tileSize : 64;
+    const room = monster.homeRoom;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      let tileX =
+        monster.spawnTileX + Math.round((Math.random() * 2 - 1) * behaviour.patrolRadius);
+      let tileY =
+        monster.spawnTileY + Math.round((Math.random() * 2 - 1) * behaviour.patrolRadius);
+
+      // Stay inside the room the monster spawned in
+      if (room) {
+        tileX = Math.max(room.x, Math.min(room.x + room.width - 1, tileX));
+        tileY = Math.max(room.y, Math.min(room.y + room.height - 1, tileY));
+      }
+
+      const x = (tileX + 0.5) * tileSize;
+      const y = (tileY + 0.5) * tileSize;
+
+      if (!collisionSystem || !collisionSystem.checkCollision(x, y, monster.radius)) {
+        return { x, y };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a monster towards a point, routing around walls when it can't see it
+   * @param {MonsterState} monster - Monster state
+   * @param {number} targetX - Target X position
+   * @param {number} targetY - Target Y position
+   * @param {number} maxDistance - Maximum distance to move this tick
+   * @returns {boolean} - True if the monster reached the target
+   */
+  moveAlongPath(monster, targetX, targetY, maxDistance) {
+    const ai = monster.ai;
+    const collisionSystem = this.room.collisionSystem;
+    const pathfinding = this.room.pathfindingSystem;
+
+    // Walk straight when nothing is in the way
+    if (
+      !collisionSystem ||
+      !pathfinding ||
+      collisionSystem.hasLineOfSight(monster.position.x, monster.position.y, targetX, targetY)
+    ) {
+      ai.path = null;
+      ai.pathGoal = null;
+      return this.moveTowards(monster, targetX, targetY, maxDistance);
+    }
+
+    // Re-plan when the target moves to another tile
+    const tileSize = collisionSystem.tileSize;
+    const goal = `${Math.floor(targetX / tileSize)},${Math.floor(targetY / tileSize)}`;
+    if (!ai.path || ai.pathGoal !== goal) {
+      const path = pathfinding.findWorldPath(
+        monster.position.x,
+        monster.position.y,
+        targetX,
+        targetY
+      );
+
+      // The first waypoint is the tile the monster is standing on
+      ai.path = path ? path.slice(1) : [];
+      ai.pathGoal = goal;
+    }
+
+    if (ai.path.length === 0) {
+      ai.blocked = true;
+      return false;
+    }
+
+    const waypoint = ai.path[0];
+    if (this.moveTowards(monster, waypoint.x, waypoint.y, maxDistance)) {
+      ai.path.shift();
+      if (ai.path.length === 0) {
+        ai.path = null;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Move a monster towards a point by following the flow field to its tile
+   * @param {MonsterState} monster - Monster state
+   * @param {number} targetX - Target X position
+   * @param {number} targetY - Target Y position
+   * @param {number} maxDistance - Maximum distance to move this tick
+   * @returns {boolean} - True if the monster reached the target
+   */
+  moveAlongFlowField(monster, targetX, targetY, maxDistance) {
+    const ai = monster.ai;
+    const collisionSystem = this.room.collisionSystem;
+    const pathfinding = this.room.pathfindingSystem;
+    ai.path = null;
+    ai.pathGoal = null;
+
+    // Walk straight when nothing is in the way
+    if (
+      !collisionSystem ||
+      !pathfinding ||
+      collisionSystem.hasLineOfSight(monster.position.x, monster.position.y, targetX, targetY)
+    ) {
+      return this.moveTowards(monster, targetX, targetY, maxDistance);
+    }
+
+    const tileSize = collisionSystem.tileSize;
+    const tileX = Math.floor(monster.position.x / tileSize);
+    const tileY = Math.floor(monster.position.y / tileSize);
+    const field = pathfinding.getFlowField(
+      Math.floor(targetX / tileSize),
+      Math.floor(targetY / tileSize)
+    );
+
+    const step = pathfinding.getFlowDirection(field, tileX, tileY);
+    if (!step) {
+      ai.blocked = true;
+      return false;
+    }
+
+    // Already on the target's tile
+    if (step.dx === 0 && step.dy === 0) {
+      return this.moveTowards(monster, targetX, targetY, maxDistance);
+    }
+
+    // Head for the centre of the next tile downhill
+    this.moveTowards(
+      monster,
+      (tileX + step.dx + 0.5) * tileSize,
+      (tileY + step.dy + 0.5) * tileSize,
+      maxDistance
+    );
+
+    return false;
+  }
+
+  /**
+   * Move a monster towards a point, sliding along walls
+   * @param {MonsterState} monster - Monster state
+   * @param {number} targetX - Target X position
+   * @param {number} targetY - Target Y position
+   * @param {number} maxDistance - Maximum distance to move this tick
+   * @returns {boolean} - True if the monster reached the target
+   */
+  moveTowards(monster, targetX, targetY, maxDistance) {
+    const dx = targetX - monster.position.x;
+    const dy = targetY - monster.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    monster.ai.blocked = false;
+
+    if (distance <= maxDistance) {
+      monster.position.x = targetX;
+      monster.position.y = targetY;
+      return true;
+    }
+
+    let nextX = monster.position.x + (dx / distance) * maxDistance;
+    let nextY = monster.position.y + (dy / distance) * maxDistance;
+
+    const collisionSystem = this.room.collisionSystem;
+    if (collisionSystem) {
+      const resolved = collisionSystem.resolveCollision(
+        monster.position.x,
+        monster.position.y,
+        nextX,
+        nextY,
+        monster.radius
+      );
+      nextX = resolved.x;
+      nextY = resolved.y;
+    }
+
+    // Nothing moved: a wall is fully in the way
+    if (nextX === monster.position.x && nextY === monster.position.y) {
+      monster.ai.blocked = true;
+      return false;
+    }
+
+    monster.position.x = nextX;
+    monster.position.y = nextY;
+    return false;
+  }
+
+  distanceTo(monster, x, y) {
+    const dx = x - monster.position.x;
+    const dy = y - monster.position.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  randomBetween([min, max]) {
+    return min + Math.random() * (max - min);
+  }
+}
@@ -0,0 +1,220 @@
+// server/systems/MonsterSystem.js
+import { MonsterState } from "../schemas/MonsterState.js";
+import { MonsterType } from "../dungeonGenerator/types.js";
+import { MonsterAI } from "./MonsterAI.js";
+
+/**
+ * Base stats per monster type, keyed by MonsterType name
+ */
+export const MONSTER_STATS = {
+  Bandit: { health: 40, damage: 8, defense: 3, critChance: 0.05, moveSpeed: 180, radius: 20 },
+  CentaurFemale: { health: 60, damage: 10, defense: 4, critChance: 0.1, moveSpeed: 220, radius: 24 },
+  CentaurMale: { health: 70, damage: 12, defense: 5, critChance: 0.05, moveSpeed: 220, radius: 24 },
+  MushroomLarge: { health: 50, damage: 6, defense: 6, critChance: 0, moveSpeed: 80, radius: 24 },
+  MushroomSmall: { health: 20, damage: 4, defense: 2, critChance: 0, moveSpeed: 100, radius: 14 },
+  Skeleton: { health: 35, damage: 9, defense: 2, critChance: 0.05, moveSpeed: 150, radius: 18 },
+  Troll: { health: 150, damage: 18, defense: 10, critChance: 0.05, moveSpeed: 110, radius: 32 },
+  Wolf: { health: 30, damage: 7, defense: 1, critChance: 0.15, moveSpeed: 260, radius: 18 },
+};
+
+// Reverse lookup from MonsterType ID to name
+const MONSTER_TYPE_NAMES = Object.fromEntries(
+  Object.entries(MonsterType).map(([name, id]) => [id, name])
+);
+
+/**
+ * MonsterSystem - Spawns, damages and despawns server-side monsters
+ */
+export class MonsterSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    // Health and damage increase per floor below the first
+    this.floorScaling = 0.15;
+
+    this.ai = new MonsterAI(room);
+  }
+
+  /**
+   * Run monster behaviour for one tick
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    this.ai.countChasers(this.room.state.monsters);
+    this.room.state.monsters.forEach((monster) => {
+      this.ai.update(monster, deltaTime);
+    });
+  }
+
+  /**
+   * Spawn monsters from a map's monsters layer, replacing any existing ones
+   * @param {Object} mapData - Map data with layers.monsters
+   * @returns {number} - Number of monsters spawned
+   */
+  spawnFromMap(mapData) {
+    this.despawnAll();
+
+    if (!mapData || !mapData.layers || !mapData.layers.monsters) return 0;
+
+    const monstersLayer = mapData.layers.monsters;
+
+    for (let y = 0; y < monstersLayer.length; y++) {
+      for (let x = 0; x < monstersLayer[y].length; x++) {
+        const typeId = monstersLayer[y][x];
+        if (!typeId) continue;
+
+        this.spawnMonster(typeId, x, y, mapData);
+      }
+    }
+
+    console.log(
+      `Spawned ${this.room.state.monsters.size} monsters on floor ${mapData.floorLevel}`
+    );
+
+    return this.room.state.monsters.size;
+  }
+
+  /**
+   * Spawn a single monster at a tile
+   * @param {number} typeId - MonsterType ID
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @param {Object} mapData - Map the monster spawns on
+   * @param {Object} options - Optional { id, ownerId } for summoned monsters
+   * @returns {MonsterState|null} - Spawned monster or null if type is unknown
+   */
+  spawnMonster(typeId, tileX, tileY, mapData, options = {}) {
+    const type = MONSTER_TYPE_NAMES[typeId];
+    const baseStats = MONSTER_STATS[type];
+    if (!baseStats) {
+      console.warn(`Unknown monster type ${typeId} at (${tileX}, ${tileY})`);
+      return null;
+    }
+
+    const tileSize = mapData.tileSize || 64;
+    const floorLevel = mapData.floorLevel || 1;
+    const scale = 1 + (floorLevel - 1) * this.floorScaling;
+
+    const monster = new MonsterState();
+    monster.id = options.id || `monster_${floorLevel}_${tileX}_${tileY}`;
+    monster.ownerId = options.ownerId || "";
+    monster.type = type;
+    monster.typeId = typeId;
+    monster.position.x = (tileX + 0.5) * tileSize;
+    monster.position.y = (tileY + 0.5) * tileSize;
+    monster.moveSpeed = baseStats.moveSpeed;
+    monster.radius = baseStats.radius;
+    monster.spawnTileX = tileX;
+    monster.spawnTileY = tileY;
+    monster.homeRoom = this.room.mapManager
+      ? this.room.mapManager.getRoomAt(tileX, tileY, mapData)
+      : null;
+
+    monster.stats.maxHealth = Math.round(baseStats.health * scale);
+    monster.stats.health = monster.stats.maxHealth;
+    monster.stats.damage = Math.round(baseStats.damage * scale);
+    monster.stats.defense = baseStats.defense;
+    monster.stats.critChance = baseStats.critChance;
+    monster.stats.level = floorLevel;
+
+    this.room.state.monsters.set(monster.id, monster);
+
+    return monster;
+  }
+
+  /**
+   * Apply damage to a monster and handle its death
+   * @param {MonsterState} monster - Monster receiving damage
+   * @param {number} amount - Damage amount
+   * @param {Object} context - { attacker, isCrit, source }
+   * @returns {Object} - { damage, health, killed }
+   */
+  applyDamage(monster, amount, context = {}) {
+    if (!monster || !monster.isAlive) {
+      return { damage: 0, health: 0, killed: false };
+    }
+
+    const { attacker = null, isCrit = false, source = "player" } = context;
+
+    const damage = Math.min(monster.stats.health, Math.max(0, amount));
+    monster.stats.health -= damage;
+
+    // Broadcast the hit so clients can show damage numbers
+    this.room.broadcast("monsterHit", {
+      monsterId: monster.id,
+      attackerId: attacker ? attacker.id : null,
+      damage,
+      isCrit,
+      health: monster.stats.health,
+      maxHealth: monster.stats.maxHealth,
+      source,
+    });
+
+    const killed = monster.stats.health <= 0;
+    if (killed) {
+      this.handleDeath(monster, context);
+    }
+
+    return { damage, health: monster.stats.health, killed };
+  }
+
+  /**
+   * Remove a dead monster and notify clients
+   * @param {MonsterState} monster - Monster that died
+   * @param {Object} context - { attacker, source }
+   */
+  handleDeath(monster, context = {}) {
+    const { attacker = null, source = "player" } = context;
+
+    monster.stats.health = 0;
+    monster.isAlive = false;
+
+    this.room.broadcast("monsterDied", {
+      id: monster.id,
+      type: monster.type,
+      killerId: attacker ? attacker.id : null,
+      killerName: attacker ? attacker.name : null,
+      source,
+      x: monster.position.x,
+      y: monster.position.y,
+    });
+
+    this.debug &&
+      console.log(
+        `Monster ${monster.id} killed by ${attacker ? attacker.name : source}`
+      );
+
+    this.room.state.monsters.delete(monster.id);
+
+    this.room.progressionSystem.handleKill(monster, attacker);
+    this.room.scoringSystem.recordKill(monster, attacker);
+    this.room.objectiveSystem.handleMonsterKilled(monster, attacker);
+  }
+
+  /**
+   * Remove a single monster without killing it
+   * @param {string} monsterId - Monster ID
+   * @param {string} reason - Why the monster is being removed
+   */
+  despawnMonster(monsterId, reason) {
+    if (!this.room.state.monsters.has(monsterId)) return;
+
+    this.room.state.monsters.delete(monsterId);
+    this.room.broadcast("monsterDespawned", { id: monsterId, reason });
+  }
+
+  /**
+   * Remove every monster from the floor
+   * @param {string} reason - Why monsters are being removed
+   */
+  despawnAll(reason = "newFloor") {
+    const count = this.room.state.monsters.size;
+    if (count === 0) return;
+
+    this.room.state.monsters.clear();
+
+    this.room.broadcast("monstersDespawned", { reason, count });
+    console.log(`Despawned ${count} monsters (${reason})`);
+  }
+}
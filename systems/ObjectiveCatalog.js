@@ -0,0 +1,65 @@
+// server/systems/ObjectiveCatalog.js
+
+/**
+ * Objectives players can complete on each floor
+ */
+
+/**
+ * Objective fields:
+ * - name, description: shown on the client's objective tracker
+ * - type: what advances the objective
+ *     clearRoom       - landing the final kill in a room of roomType
+ *     openChest       - opening a chest
+ *     reachRoom       - entering a room of roomType
+ *     surviveGauntlet - winning the floor's gauntlet
+ * - roomType: structural room type for clearRoom and reachRoom
+ * - target: progress needed to complete
+ * - reward: { xp, gold } granted on completion
+ */
+export const OBJECTIVES = {
+  clear_monster_room: {
+    name: "Exterminator",
+    description: "Clear a monster room",
+    type: "clearRoom",
+    roomType: "monsters",
+    target: 1,
+    reward: { xp: 150, gold: 20 },
+  },
+  clear_monster_rooms: {
+    name: "Purge",
+    description: "Clear 3 monster rooms",
+    type: "clearRoom",
+    roomType: "monsters",
+    target: 3,
+    reward: { xp: 300, gold: 50 },
+  },
+  open_chests: {
+    name: "Treasure Hunter",
+    description: "Open 3 chests",
+    type: "openChest",
+    target: 3,
+    reward: { xp: 100, gold: 30 },
+  },
+  reach_boss_room: {
+    name: "Into the Lair",
+    description: "Reach the boss room",
+    type: "reachRoom",
+    roomType: "boss",
+    target: 1,
+    reward: { xp: 150, gold: 20 },
+  },
+  survive_gauntlet: {
+    name: "Last One Standing",
+    description: "Survive the gauntlet",
+    type: "surviveGauntlet",
+    target: 1,
+    reward: { xp: 200, gold: 40 },
+  },
+};
+
+// Objective IDs per floor, the last entry covers deeper floors
+export const FLOOR_OBJECTIVES = [
+  ["clear_monster_room", "open_chests", "survive_gauntlet"],
+  ["clear_monster_room", "open_chests", "reach_boss_room", "survive_gauntlet"],
+  ["clear_monster_rooms", "open_chests", "reach_boss_room", "survive_gauntlet"],
+];
@@ -0,0 +1,188 @@
+// server/systems/ObjectiveSystem.js
+import { OBJECTIVES, FLOOR_OBJECTIVES } from "./ObjectiveCatalog.js";
+
+/**
+ * ObjectiveSystem - Per-floor objectives and their rewards
+ *
+ * Every floor hands all players the same set of objectives. Progress is kept
+ * on the server per player, and completed objectives are added to the
+ * player's `completedObjectives` as "floor_N:objectiveId", so the list keeps
+ * growing over the match.
+ */
+export class ObjectiveSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.scanInterval = 0.25; // Seconds between room checks for reachRoom objectives
+    this.scanTimer = 0;
+
+    this.floorLevel = 0;
+    this.objectives = []; // Objective IDs active on the current floor
+    this.progress = new Map(); // Player ID -> Map of objective ID to progress
+  }
+
+  /**
+   * Hand out the objectives for a new floor
+   * @param {number} floorLevel - Floor that just started
+   */
+  startFloor(floorLevel) {
+    this.floorLevel = floorLevel;
+    this.objectives = FLOOR_OBJECTIVES[Math.min(floorLevel, FLOOR_OBJECTIVES.length) - 1] || [];
+    this.progress.clear();
+    this.scanTimer = 0;
+
+    this.room.broadcast("objectivesAssigned", {
+      floorLevel,
+      objectives: this.objectives.map((id) => {
+        const { name, description, target, reward } = OBJECTIVES[id];
+        return { id, name, description, target, reward };
+      }),
+    });
+  }
+
+  /**
+   * Check which rooms players have reached
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    this.scanTimer -= deltaTime / 1000;
+    if (this.scanTimer > 0) return;
+    this.scanTimer = this.scanInterval;
+
+    const mapManager = this.room.mapManager;
+    const tileSize = (mapManager.currentMap && mapManager.currentMap.tileSize) || 64;
+
+    this.room.state.players.forEach((player) => {
+      if (!player.isAlive || !player.onFloor) return;
+
+      const room = mapManager.getRoomAt(
+        Math.floor(player.position.x / tileSize),
+        Math.floor(player.position.y / tileSize)
+      );
+      if (!room) return;
+
+      this.addProgress(player, "reachRoom", (objective) => objective.roomType === room.type);
+    });
+  }
+
+  /**
+   * Count an opened chest
+   * @param {PlayerState} player - Player who opened the chest
+   */
+  handleChestOpened(player) {
+    this.addProgress(player, "openChest");
+  }
+
+  /**
+   * Credit the killer when a monster was the last one left in its room
+   * Call after the monster has been removed from the state.
+   * @param {MonsterState} monster - Monster that died
+   * @param {Object} attacker - Killer, only players make progress
+   */
+  handleMonsterKilled(monster, attacker) {
+    if (!attacker || !this.room.state.players.get(attacker.id)) return;
+
+    const home = monster.homeRoom;
+    if (!home || monster.ownerId) return;
+
+    for (const other of this.room.state.monsters.values()) {
+      if (
+        other.isAlive &&
+        !other.ownerId &&
+        other.homeRoom &&
+        other.homeRoom.x === home.x &&
+        other.homeRoom.y === home.y
+      ) {
+        return;
+      }
+    }
+
+    this.addProgress(attacker, "clearRoom", (objective) => objective.roomType === home.type);
+  }
+
+  /**
+   * Count a won gauntlet
+   * @param {PlayerState} player - Gauntlet winner
+   */
+  handleGauntletSurvived(player) {
+    this.addProgress(player, "surviveGauntlet");
+  }
+
+  /**
+   * Advance a player's unfinished objectives of a type
+   * @param {PlayerState} player - Player making progress
+   * @param {string} type - Objective type
+   * @param {Function} filter - Optional extra check on the objective definition
+   */
+  addProgress(player, type, filter = null) {
+    this.objectives.forEach((id) => {
+      const objective = OBJECTIVES[id];
+      if (objective.type !== type || (filter && !filter(objective))) return;
+      if (this.isCompleted(player, id)) return;
+
+      if (!this.progress.has(player.id)) {
+        this.progress.set(player.id, new Map());
+      }
+      const playerProgress = this.progress.get(player.id);
+      const progress = (playerProgress.get(id) || 0) + 1;
+      playerProgress.set(id, progress);
+
+      const client = this.getClient(player.id);
+      if (client) {
+        client.send("objectiveProgress", { id, progress, target: objective.target });
+      }
+
+      if (progress >= objective.target) {
+        this.complete(player, id);
+      }
+    });
+  }
+
+  /**
+   * Mark an objective as completed and grant its reward
+   * @param {PlayerState} player - Player who completed it
+   * @param {string} id - Objective ID
+   */
+  complete(player, id) {
+    const objective = OBJECTIVES[id];
+    const { xp = 0, gold = 0 } = objective.reward || {};
+
+    player.completedObjectives.push(this.getKey(id));
+    player.gold += gold;
+
+    this.room.broadcast("objectiveCompleted", {
+      playerId: player.id,
+      playerName: player.name,
+      objectiveId: id,
+      name: objective.name,
+      floorLevel: this.floorLevel,
+      reward: { xp, gold },
+    });
+
+    this.room.progressionSystem.handleObjectiveCompleted(player, xp);
+    this.room.scoringSystem.recordObjective(player);
+
+    console.log(`${player.name} completed objective ${objective.name} on floor ${this.floorLevel}`);
+  }
+
+  isCompleted(player, id) {
+    return player.completedObjectives.includes(this.getKey(id));
+  }
+
+  getKey(id) {
+    return `floor_${this.floorLevel}:${id}`;
+  }
+
+  /**
+   * Remove per-player tracking when a player leaves
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.progress.delete(playerId);
+  }
+
+  getClient(playerId) {
+    return this.room.clients.find((c) => c.id === playerId);
+  }
+}
@@ -0,0 +1,668 @@
+// server/systems/PathfindingSystem.js
+import { TileType } from "../dungeonGenerator/types.js";
+
+// Neighbour offsets: 4 straight moves followed by 4 diagonals
+const NEIGHBOURS = [
+  { dx: 1, dy: 0, cost: 1 },
+  { dx: -1, dy: 0, cost: 1 },
+  { dx: 0, dy: 1, cost: 1 },
+  { dx: 0, dy: -1, cost: 1 },
+  { dx: 1, dy: 1, cost: Math.SQRT2 },
+  { dx: -1, dy: 1, cost: Math.SQRT2 },
+  { dx: 1, dy: -1, cost: Math.SQRT2 },
+  { dx: -1, dy: -1, cost: Math.SQRT2 },
+];
+
+/**
+ * Minimal binary min-heap keyed by a numeric priority
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+
+        if (left < items.length && items[left].priority < items[smallest].priority) {
+          smallest = left;
+        }
+        if (right < items.length && items[right].priority < items[smallest].priority) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+
+    return top.value;
+  }
+}
+
+/**
+ * PathfindingSystem - Route queries over the collision map
+ *
+ * Provides A* paths for single agents, flow fields for many agents heading to
+ * the same target, and reachability checks. Results are cached per floor and
+ * dropped whenever the collision map changes.
+ */
+export class PathfindingSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    // Search limits
+    this.maxSearchNodes = 20000; // A* gives up after expanding this many tiles
+    this.maxCachedPaths = 256;
+    this.maxCachedFlowFields = 8;
+    this.maxLocalSearchNodes = 1024; // Tiles a split check may visit before giving up
+    this.regionRebuildInterval = 1000; // Minimum ms between full region rebuilds after splits
+
+    // Caches, valid for a single collision map
+    this.pathCache = new Map(); // "sx,sy>ex,ey" -> array of tiles or null
+    this.flowFields = new Map(); // "x,y" -> flow field
+    this.regions = null; // Connected-region label per tile
+    this.regionSizes = new Map(); // Region label -> number of tiles
+    this.nextRegion = 1;
+    this.regionsStale = false; // A closed tile may have split a region
+    this.regionsBuiltAt = 0; // Clock time of the last full region rebuild
+  }
+
+  get collisionMap() {
+    return this.room.collisionSystem ? this.room.collisionSystem.collisionMap : null;
+  }
+
+  get tiles() {
+    const mapData = this.room.mapManager ? this.room.mapManager.currentMap : null;
+    return mapData && mapData.layers ? mapData.layers.tiles : null;
+  }
+
+  get tileSize() {
+    return this.room.collisionSystem ? this.room.collisionSystem.tileSize : 64;
+  }
+
+  /**
+   * Drop every cached result (call when tiles change or a new floor loads)
+   */
+  invalidate() {
+    this.pathCache.clear();
+    this.flowFields.clear();
+    this.regions = null;
+    this.regionsStale = false;
+
+    this.debug && console.log("Pathfinding cache invalidated");
+  }
+
+  /**
+   * Update cached results after one tile became walkable or blocked (e.g. a door)
+   * Regions and flow fields are patched around the tile instead of rebuilt.
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   */
+  updateTile(tileX, tileY) {
+    if (!this.collisionMap) return;
+
+    this.pathCache.clear();
+
+    const walkable = this.isWalkable(tileX, tileY);
+    if (walkable) {
+      this.mergeRegionsAt(tileX, tileY);
+    } else {
+      this.splitRegionsAt(tileX, tileY);
+    }
+
+    const width = this.collisionMap[0].length;
+    for (const [key, field] of Array.from(this.flowFields.entries())) {
+      if (walkable) {
+        this.lowerFlowField(field, tileX, tileY);
+      } else if (field.distances[tileY * width + tileX] !== Infinity) {
+        // Routes may have run over the tile, build the field again when it's next needed
+        this.flowFields.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Join the regions around a tile that just became walkable
+   * The smaller regions are relabelled to the largest one.
+   */
+  mergeRegionsAt(tileX, tileY) {
+    const regions = this.regions;
+    if (!regions) return;
+
+    const width = this.collisionMap[0].length;
+    const labels = new Set();
+    for (const { dx, dy } of NEIGHBOURS) {
+      if (!this.canStep(tileX, tileY, dx, dy)) continue;
+      labels.add(regions[(tileY + dy) * width + (tileX + dx)]);
+    }
+
+    const [largest, ...others] = Array.from(labels).sort(
+      (a, b) => this.regionSizes.get(b) - this.regionSizes.get(a)
+    );
+    const label = largest || this.nextRegion++;
+
+    regions[tileY * width + tileX] = label;
+    this.regionSizes.set(label, (this.regionSizes.get(label) || 0) + 1);
+
+    others.forEach((other) => {
+      this.fillRegion(tileX, tileY, other, label);
+      this.regionSizes.set(label, this.regionSizes.get(label) + this.regionSizes.get(other));
+      this.regionSizes.delete(other);
+    });
+  }
+
+  /**
+   * Relabel every tile of a region connected to a tile's neighbours
+   */
+  fillRegion(tileX, tileY, from, to) {
+    const regions = this.regions;
+    const width = this.collisionMap[0].length;
+    const stack = [];
+
+    for (const { dx, dy } of NEIGHBOURS) {
+      const next = (tileY + dy) * width + (tileX + dx);
+      if (this.canStep(tileX, tileY, dx, dy) && regions[next] === from) {
+        regions[next] = to;
+        stack.push(next);
+      }
+    }
+
+    while (stack.length > 0) {
+      const current = stack.pop();
+      const cx = current % width;
+      const cy = Math.floor(current / width);
+
+      for (const { dx, dy } of NEIGHBOURS) {
+        if (!this.canStep(cx, cy, dx, dy)) continue;
+
+        const next = (cy + dy) * width + (cx + dx);
+        if (regions[next] === from) {
+          regions[next] = to;
+          stack.push(next);
+        }
+      }
+    }
+  }
+
+  /**
+   * Take a tile that just became blocked out of its region
+   * If its neighbours can't be shown to still connect nearby, the region may
+   * have split and is rebuilt lazily by getRegions.
+   */
+  splitRegionsAt(tileX, tileY) {
+    const regions = this.regions;
+    if (!regions) return;
+
+    const width = this.collisionMap[0].length;
+    const index = tileY * width + tileX;
+    const label = regions[index];
+    if (!label) return;
+
+    regions[index] = 0;
+    this.regionSizes.set(label, this.regionSizes.get(label) - 1);
+
+    const neighbours = [];
+    for (const { dx, dy } of NEIGHBOURS) {
+      if (this.isWalkable(tileX + dx, tileY + dy)) {
+        neighbours.push((tileY + dy) * width + (tileX + dx));
+      }
+    }
+    if (neighbours.length <= 1) return;
+
+    // Bounded search from one neighbour for all the others
+    const remaining = new Set(neighbours.slice(1));
+    const visited = new Set([neighbours[0]]);
+    const queue = [neighbours[0]];
+
+    while (queue.length > 0 && remaining.size > 0 && visited.size < this.maxLocalSearchNodes) {
+      const current = queue.shift();
+      const cx = current % width;
+      const cy = Math.floor(current / width);
+
+      for (const { dx, dy } of NEIGHBOURS) {
+        if (!this.canStep(cx, cy, dx, dy)) continue;
+
+        const next = (cy + dy) * width + (cx + dx);
+        if (visited.has(next)) continue;
+
+        visited.add(next);
+        remaining.delete(next);
+        queue.push(next);
+      }
+    }
+
+    if (remaining.size > 0) {
+      this.regionsStale = true;
+    }
+  }
+
+  /**
+   * Lower flow-field distances through a tile that just became walkable
+   * Every step the tile enables starts or ends next to it, so relaxing from
+   * the tile and its neighbours is enough.
+   */
+  lowerFlowField(field, tileX, tileY) {
+    const open = new MinHeap();
+    const index = tileY * field.width + tileX;
+
+    if (tileX === field.targetX && tileY === field.targetY) {
+      field.distances[index] = 0;
+    }
+    open.push(index, field.distances[index]);
+
+    for (const { dx, dy } of NEIGHBOURS) {
+      const x = tileX + dx;
+      const y = tileY + dy;
+      if (x < 0 || y < 0 || x >= field.width || y >= field.height) continue;
+
+      const next = y * field.width + x;
+      if (field.distances[next] !== Infinity) {
+        open.push(next, field.distances[next]);
+      }
+    }
+
+    this.relaxFlowField(field, open);
+  }
+
+  /**
+   * Check if a tile can be walked through
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {boolean} - True if the tile is inside the map, not solid and not a hole
+   */
+  isWalkable(tileX, tileY) {
+    const map = this.collisionMap;
+    if (!map) return false;
+
+    // Collapsed floor doesn't block movement, but nothing should plan a route over it
+    const tiles = this.tiles;
+
+    return (
+      tileY >= 0 &&
+      tileY < map.length &&
+      tileX >= 0 &&
+      tileX < map[tileY].length &&
+      !map[tileY][tileX] &&
+      !(tiles && tiles[tileY] && tiles[tileY][tileX] === TileType.Hole)
+    );
+  }
+
+  /**
+   * Check if a diagonal or straight step is allowed (no cutting wall corners)
+   */
+  canStep(x, y, dx, dy) {
+    if (!this.isWalkable(x + dx, y + dy)) return false;
+    if (dx !== 0 && dy !== 0) {
+      return this.isWalkable(x + dx, y) && this.isWalkable(x, y + dy);
+    }
+    return true;
+  }
+
+  /**
+   * Find a path between two tiles using A*
+   * @param {number} startX - Start tile X
+   * @param {number} startY - Start tile Y
+   * @param {number} endX - End tile X
+   * @param {number} endY - End tile Y
+   * @returns {Array|null} - Tiles [{x, y}] from start to end, or null if unreachable
+   */
+  findPath(startX, startY, endX, endY) {
+    if (!this.isWalkable(startX, startY) || !this.isWalkable(endX, endY)) {
+      return null;
+    }
+
+    // Different regions can never connect
+    if (!this.canReach(startX, startY, endX, endY)) {
+      return null;
+    }
+
+    const cacheKey = `${startX},${startY}>${endX},${endY}`;
+    if (this.pathCache.has(cacheKey)) {
+      return this.pathCache.get(cacheKey);
+    }
+
+    const path = this.searchPath(startX, startY, endX, endY);
+    this.cachePath(cacheKey, path);
+
+    return path;
+  }
+
+  searchPath(startX, startY, endX, endY) {
+    const width = this.collisionMap[0].length;
+    const startKey = startY * width + startX;
+    const endKey = endY * width + endX;
+
+    const open = new MinHeap();
+    const cameFrom = new Map();
+    const costs = new Map([[startKey, 0]]);
+    const closed = new Set();
+
+    open.push(startKey, this.heuristic(startX, startY, endX, endY));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === endKey) {
+        return this.reconstructPath(cameFrom, current, width);
+      }
+
+      if (closed.has(current)) continue;
+      closed.add(current);
+
+      if (closed.size > this.maxSearchNodes) {
+        this.debug &&
+          console.warn(`A* gave up after ${closed.size} nodes (${startX},${startY} -> ${endX},${endY})`);
+        return null;
+      }
+
+      const x = current % width;
+      const y = Math.floor(current / width);
+      const currentCost = costs.get(current);
+
+      for (const { dx, dy, cost } of NEIGHBOURS) {
+        if (!this.canStep(x, y, dx, dy)) continue;
+
+        const next = (y + dy) * width + (x + dx);
+        if (closed.has(next)) continue;
+
+        const nextCost = currentCost + cost;
+        if (nextCost < (costs.get(next) ?? Infinity)) {
+          costs.set(next, nextCost);
+          cameFrom.set(next, current);
+          open.push(next, nextCost + this.heuristic(x + dx, y + dy, endX, endY));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Octile distance heuristic for 8-directional movement
+   */
+  heuristic(x1, y1, x2, y2) {
+    const dx = Math.abs(x1 - x2);
+    const dy = Math.abs(y1 - y2);
+    return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+  }
+
+  reconstructPath(cameFrom, endKey, width) {
+    const path = [];
+    let current = endKey;
+
+    while (current !== undefined) {
+      path.push({ x: current % width, y: Math.floor(current / width) });
+      current = cameFrom.get(current);
+    }
+
+    return path.reverse();
+  }
+
+  cachePath(key, path) {
+    // Evict the oldest entry once the cache is full
+    if (this.pathCache.size >= this.maxCachedPaths) {
+      this.pathCache.delete(this.pathCache.keys().next().value);
+    }
+    this.pathCache.set(key, path);
+  }
+
+  /**
+   * Find a path between two world positions
+   * @param {number} fromX - Start world X
+   * @param {number} fromY - Start world Y
+   * @param {number} toX - End world X
+   * @param {number} toY - End world Y
+   * @returns {Array|null} - World waypoints [{x, y}] at tile centers, or null
+   */
+  findWorldPath(fromX, fromY, toX, toY) {
+    const tileSize = this.tileSize;
+    const path = this.findPath(
+      Math.floor(fromX / tileSize),
+      Math.floor(fromY / tileSize),
+      Math.floor(toX / tileSize),
+      Math.floor(toY / tileSize)
+    );
+
+    if (!path) return null;
+
+    return path.map((tile) => ({
+      x: (tile.x + 0.5) * tileSize,
+      y: (tile.y + 0.5) * tileSize,
+    }));
+  }
+
+  /**
+   * Get (or build) a flow field leading every tile towards a target tile
+   * @param {number} targetX - Target tile X
+   * @param {number} targetY - Target tile Y
+   * @returns {Object|null} - { targetX, targetY, width, distances } or null
+   */
+  getFlowField(targetX, targetY) {
+    if (!this.isWalkable(targetX, targetY)) return null;
+
+    const key = `${targetX},${targetY}`;
+    if (this.flowFields.has(key)) {
+      // Refresh position so frequently used fields survive eviction
+      const field = this.flowFields.get(key);
+      this.flowFields.delete(key);
+      this.flowFields.set(key, field);
+      return field;
+    }
+
+    const field = this.buildFlowField(targetX, targetY);
+
+    if (this.flowFields.size >= this.maxCachedFlowFields) {
+      this.flowFields.delete(this.flowFields.keys().next().value);
+    }
+    this.flowFields.set(key, field);
+
+    return field;
+  }
+
+  buildFlowField(targetX, targetY) {
+    const map = this.collisionMap;
+    const width = map[0].length;
+    const height = map.length;
+    const distances = new Float32Array(width * height).fill(Infinity);
+
+    // Dijkstra outwards from the target
+    const field = { targetX, targetY, width, height, distances };
+    const open = new MinHeap();
+    const targetKey = targetY * width + targetX;
+    distances[targetKey] = 0;
+    open.push(targetKey, 0);
+
+    this.relaxFlowField(field, open);
+
+    return field;
+  }
+
+  relaxFlowField(field, open) {
+    const { width, distances } = field;
+
+    while (open.size > 0) {
+      const current = open.pop();
+      const x = current % width;
+      const y = Math.floor(current / width);
+      const currentCost = distances[current];
+
+      for (const { dx, dy, cost } of NEIGHBOURS) {
+        if (!this.canStep(x, y, dx, dy)) continue;
+
+        const next = (y + dy) * width + (x + dx);
+        const nextCost = currentCost + cost;
+        if (nextCost < distances[next]) {
+          distances[next] = nextCost;
+          open.push(next, nextCost);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the direction to step from a tile to follow a flow field
+   * @param {Object} field - Flow field from getFlowField
+   * @param {number} tileX - Current tile X
+   * @param {number} tileY - Current tile Y
+   * @returns {Object|null} - Step {dx, dy}, {dx: 0, dy: 0} at the target, or null if unreachable
+   */
+  getFlowDirection(field, tileX, tileY) {
+    if (!field || tileX < 0 || tileY < 0 || tileX >= field.width || tileY >= field.height) {
+      return null;
+    }
+
+    const current = field.distances[tileY * field.width + tileX];
+    if (current === Infinity) return null;
+    if (current === 0) return { dx: 0, dy: 0 };
+
+    let best = null;
+    let bestDistance = current;
+
+    for (const { dx, dy } of NEIGHBOURS) {
+      if (!this.canStep(tileX, tileY, dx, dy)) continue;
+
+      const distance = field.distances[(tileY + dy) * field.width + (tileX + dx)];
+      if (distance < bestDistance) {
+        best = { dx, dy };
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Check if one tile can be reached from another
+   * @returns {boolean} - True if both tiles are walkable and connected
+   */
+  canReach(startX, startY, endX, endY) {
+    if (!this.isWalkable(startX, startY) || !this.isWalkable(endX, endY)) {
+      return false;
+    }
+
+    const regions = this.getRegions();
+    const width = this.collisionMap[0].length;
+
+    return regions[startY * width + startX] === regions[endY * width + endX];
+  }
+
+  /**
+   * Label every walkable tile with the ID of its connected region
+   * After a possible split the old labels are kept until the rebuild interval
+   * has passed, so toggling tiles can't force a full flood fill every tick.
+   * @returns {Int32Array} - Region label per tile (0 for solid tiles)
+   */
+  getRegions() {
+    const now = this.room.clock.currentTime;
+    if (
+      this.regions &&
+      (!this.regionsStale || now - this.regionsBuiltAt < this.regionRebuildInterval)
+    ) {
+      return this.regions;
+    }
+
+    const map = this.collisionMap;
+    const width = map[0].length;
+    const height = map.length;
+    const regions = new Int32Array(width * height);
+    let nextRegion = 1;
+    this.regionSizes.clear();
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (regions[y * width + x] !== 0 || !this.isWalkable(x, y)) continue;
+
+        // Flood fill this region using the same moves as path searches
+        const stack = [y * width + x];
+        regions[y * width + x] = nextRegion;
+        let size = 0;
+
+        while (stack.length > 0) {
+          const current = stack.pop();
+          size++;
+          const cx = current % width;
+          const cy = Math.floor(current / width);
+
+          for (const { dx, dy } of NEIGHBOURS) {
+            if (!this.canStep(cx, cy, dx, dy)) continue;
+
+            const next = (cy + dy) * width + (cx + dx);
+            if (regions[next] === 0) {
+              regions[next] = nextRegion;
+              stack.push(next);
+            }
+          }
+        }
+
+        this.regionSizes.set(nextRegion, size);
+        nextRegion++;
+      }
+    }
+
+    this.regions = regions;
+    this.nextRegion = nextRegion;
+    this.regionsStale = false;
+    this.regionsBuiltAt = now;
+
+    this.debug && console.log(`Pathfinding regions rebuilt (${nextRegion - 1} regions)`);
+
+    return regions;
+  }
+
+  /**
+   * Find the closest walkable tile to a tile, searching outwards
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @param {number} maxRadius - Maximum search radius in tiles
+   * @param {Function} accept - Optional extra check (tileX, tileY) => boolean
+   * @returns {Object|null} - Tile {x, y} or null if none found
+   */
+  findNearestWalkable(tileX, tileY, maxRadius = 10, accept = null) {
+    for (let radius = 0; radius <= maxRadius; radius++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          // Only visit the ring at this radius
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+
+          const x = tileX + dx;
+          const y = tileY + dy;
+          if (this.isWalkable(x, y) && (!accept || accept(x, y))) {
+            return { x, y };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+}
@@ -4,11 +4,16 @@ export class PhaseManager {
       this.waitingForPlayersTimeout = null;
       this.gameStartCountdown = null;
       this.phaseEndTimeout = null;
+      this.activeGauntlets = new Map(); // Map of gauntlet ID to { players, resolved }
+      this.showdownShrinkTimer = null;
+      this.showdownSafeZone = null; // Part of the showdown arena that hasn't collapsed yet
+      this.showdownSurvivors = []; // Players standing at the last showdown check, with their health
       
       this.PHASES = {
         LOBBY: "lobby",
         DUNGEON: "dungeon",
         GAUNTLET: "gauntlet",
+        SHOWDOWN: "showdown",
         RESULTS: "results"
       };
       
@@ -18,6 +23,9 @@ export class PhaseManager {
       this.countdownDuration = 10; // seconds
       this.dungeonPhaseDuration = 5 * 60 * 1000; // 5 minutes
       this.gauntletPhaseDuration = 2 * 60 * 1000; // 2 minutes
+      this.maxFloors = 5; // Showdown starts once this many floors have been played
+      this.showdownShrinkInterval = 10 * 1000; // Time between arena shrinks
+      this.showdownMinSize = 4; // Arena side length (tiles) at which shrinking stops
     }
     
     setPhase(phase) {
@@ -37,6 +45,9 @@ export class PhaseManager {
         case this.PHASES.GAUNTLET:
           this.updateGauntletPhase(deltaTime);
           break;
+        case this.PHASES.SHOWDOWN:
+          this.updateShowdownPhase(deltaTime);
+          break;
         case this.PHASES.RESULTS:
           // Nothing to update in results phase
           break;
@@ -150,9 +161,9 @@ export class PhaseManager {
       // Start first dungeon phase
       this.startDungeonPhase();
       
-      // Set game end timeout
+      // Force the final showdown when the game clock runs out
       this.room.clock.setTimeout(() => {
-        this.endGame("timeUp");
+        this.startShowdownPhase("timeUp");
       }, this.gameDuration);
       
       // Update time remaining every second
@@ -163,12 +174,10 @@ export class PhaseManager {
         if (this.room.state.timeRemaining % 30000 === 0) {
           this.room.leaderboardSystem.updateLeaderboard();
         }
-        
-        // Every 60 seconds, trigger a global event
-        if (this.room.state.timeRemaining % 60000 === 0) {
-          this.room.eventManager.triggerGlobalEvent();
-        }
       }, 1000);
+      
+      // Global events come from the seeded scheduler
+      this.room.eventScheduler.start();
     }
     
     startDungeonPhase() {
@@ -181,14 +190,24 @@ export class PhaseManager {
       // Generate dungeons for players using MapManager instead of the old DungeonGenerator
       if (this.room.mapManager) {
         // If this is the first dungeon phase, the map is already generated
-        // For subsequent phases, generate a new floor
-        if (this.room.mapManager.floorLevel > 1 || !this.room.mapManager.currentMap) {
+        // For subsequent phases (or coming back from the arenas), generate a new floor
+        if (
+          this.room.mapManager.floorLevel > 1 ||
+          !this.room.mapManager.currentMap ||
+          this.room.mapManager.currentMap.arenas
+        ) {
           this.room.mapManager.generateNextFloor();
         }
       } else {
         console.error("MapManager not available!");
       }
       
+      // Hand out this floor's objectives
+      this.room.objectiveSystem.startFloor(this.room.mapManager.floorLevel);
+      
+      // Crumble the floor towards the end of the phase
+      this.room.floorCollapseSystem.start(this.dungeonPhaseDuration);
+      
       // Broadcast phase change
       this.room.broadcast("phaseChange", {
         phase: this.room.state.phase,
@@ -209,9 +228,24 @@ export class PhaseManager {
       this.setPhase(this.PHASES.GAUNTLET);
       this.room.state.phaseEndTime = Date.now() + this.gauntletPhaseDuration;
       
+      // The dungeon floor has collapsed, take its monsters with it
+      this.room.floorCollapseSystem.stop();
+      if (this.room.monsterSystem) {
+        this.room.monsterSystem.despawnAll("floorCollapse");
+      }
+      
       // Create gauntlet groups
       const gauntlets = this.createGauntlets();
       
+      // Move every group into its own arena
+      if (gauntlets.length > 0 && this.room.mapManager) {
+        const arenaMap = this.room.mapManager.generateGauntletArenas(gauntlets.length);
+        
+        gauntlets.forEach((gauntlet, index) => {
+          this.room.mapManager.teleportPlayersToArena(arenaMap.arenas[index], gauntlet);
+        });
+      }
+      
       // Broadcast phase change
       this.room.broadcast("phaseChange", {
         phase: this.room.state.phase,
@@ -220,20 +254,206 @@ export class PhaseManager {
         gauntletsCount: gauntlets.length
       });
       
+      // Nothing to fight over, move straight on
+      if (gauntlets.length === 0) {
+        this.finishGauntletPhase();
+        return;
+      }
+      
       // Schedule next phase
       this.phaseEndTimeout = this.room.clock.setTimeout(() => {
+        this.phaseEndTimeout = null;
         this.resolveGauntlets();
+        this.finishGauntletPhase();
+      }, this.gauntletPhaseDuration);
+    }
+    
+    finishGauntletPhase() {
+      if (this.phaseEndTimeout) {
+        this.phaseEndTimeout.clear();
+        this.phaseEndTimeout = null;
+      }
+      
+      // Clear gauntlet assignments
+      this.activeGauntlets.clear();
+      this.room.state.players.forEach(player => {
+        player.gauntletId = null;
+      });
+      
+      // If only one player remains, end the game
+      const alivePlayers = Array.from(this.room.state.players.values())
+        .filter(player => player.isAlive);
+      
+      // Everyone still standing made it through the floor
+      alivePlayers.forEach(player => this.room.scoringSystem.recordFloorSurvived(player));
+      
+      if (alivePlayers.length <= 1) {
+        this.endGame(
+          alivePlayers.length === 1 ? "winner" : "timeUp",
+          alivePlayers.length === 1 ? alivePlayers[0].id : null
+        );
+      } else if (this.room.mapManager.floorLevel >= this.maxFloors) {
+        this.startShowdownPhase("floorLimit");
+      } else {
+        this.startDungeonPhase();
+      }
+    }
+    
+    /**
+     * Start the final showdown: every surviving player fights in one small arena
+     * that shrinks until a single player is left
+     * @param {string} reason - What triggered the showdown (timeUp, floorLimit)
+     */
+    startShowdownPhase(reason) {
+      const phase = this.room.state.phase;
+      if (phase === this.PHASES.SHOWDOWN || phase === this.PHASES.RESULTS) return;
+      
+      console.log(`Starting showdown in room ${this.room.roomId} (${reason})`);
+      
+      // Drop whatever the previous phase had scheduled
+      if (this.phaseEndTimeout) {
+        this.phaseEndTimeout.clear();
+        this.phaseEndTimeout = null;
+      }
+      this.room.floorCollapseSystem.stop();
+      this.room.monsterSystem.despawnAll("showdown");
+      this.activeGauntlets.clear();
+      this.room.state.players.forEach(player => {
+        player.gauntletId = null;
+      });
+      
+      const alivePlayers = Array.from(this.room.state.players.values())
+        .filter(player => player.isAlive);
+      
+      if (alivePlayers.length <= 1) {
+        this.endGame(reason, alivePlayers.length === 1 ? alivePlayers[0].id : null);
+        return;
+      }
+      
+      this.setPhase(this.PHASES.SHOWDOWN);
+      this.recordShowdownSurvivors(alivePlayers);
+      
+      const arenaMap = this.room.mapManager.generateShowdownArena();
+      const arena = arenaMap.arenas[0];
+      this.room.mapManager.teleportPlayersToArena(arena, alivePlayers.map(player => player.id));
+      
+      // Shrink one ring at a time until the minimum size is reached
+      this.showdownSafeZone = { x: arena.x, y: arena.y, width: arena.width, height: arena.height };
+      const shrinks = Math.max(0, Math.ceil((arena.width - this.showdownMinSize) / 2));
+      const duration = (shrinks + 1) * this.showdownShrinkInterval;
+      this.room.state.phaseEndTime = Date.now() + duration;
+      
+      this.showdownShrinkTimer = this.room.clock.setInterval(() => {
+        this.shrinkShowdownArena();
+      }, this.showdownShrinkInterval);
+      
+      // Broadcast phase change
+      this.room.broadcast("phaseChange", {
+        phase: this.room.state.phase,
+        duration,
+        endTime: this.room.state.phaseEndTime,
+        reason,
+        players: alivePlayers.length,
+        safeZone: this.showdownSafeZone,
+        shrinkInterval: this.showdownShrinkInterval
+      });
+    }
+    
+    shrinkShowdownArena() {
+      const zone = this.showdownSafeZone;
+      
+      // Out of room to shrink: the healthiest survivor takes it
+      if (!zone || zone.width <= this.showdownMinSize) {
+        const survivors = this.shuffleArray(Array.from(this.room.state.players.values())
+          .filter(player => player.isAlive))
+          .sort((a, b) => b.stats.health - a.stats.health);
         
-        // If only one player remains, end the game
-        const alivePlayers = Object.values(this.room.state.players)
-          .filter(player => player.isAlive);
-        
-        if (alivePlayers.length <= 1) {
-          this.endGame(alivePlayers.length === 1 ? "winner" : "timeUp");
-        } else {
-          this.startDungeonPhase();
+        this.finishShowdown(survivors[0] ? survivors[0].id : this.pickShowdownTiebreakWinner(), "timeout");
+        return;
+      }
+      
+      this.showdownSafeZone = this.room.floorCollapseSystem.collapseRing(zone);
+      
+      this.room.broadcast("arenaShrunk", {
+        safeZone: this.showdownSafeZone,
+        nextShrinkIn: this.showdownShrinkInterval
+      });
+    }
+    
+    updateShowdownPhase(deltaTime) {
+      const alivePlayers = Array.from(this.room.state.players.values())
+        .filter(player => player.isAlive);
+      
+      if (alivePlayers.length === 1) {
+        this.finishShowdown(alivePlayers[0].id, "lastStanding");
+        return;
+      }
+      
+      // The last survivors went down in the same tick, so the one who stood best just before takes it
+      if (alivePlayers.length === 0) {
+        this.finishShowdown(this.pickShowdownTiebreakWinner(), "lastStanding");
+        return;
+      }
+      
+      // Runs before the collapsing floor drops anyone this tick
+      this.recordShowdownSurvivors(alivePlayers);
+    }
+    
+    recordShowdownSurvivors(alivePlayers) {
+      this.showdownSurvivors = alivePlayers.map(player => ({
+        id: player.id,
+        health: player.stats.health
+      }));
+    }
+    
+    /**
+     * Pick the winner among the players standing at the last showdown check
+     * Higher health wins, then higher score.
+     * @returns {string|null} - Winner ID, or null if they all left
+     */
+    pickShowdownTiebreakWinner() {
+      const scoring = this.room.scoringSystem;
+      const [best] = this.showdownSurvivors
+        .filter(survivor => this.room.state.players.has(survivor.id))
+        .sort((a, b) =>
+          b.health - a.health || scoring.getScore(b.id) - scoring.getScore(a.id)
+        );
+      
+      return best ? best.id : null;
+    }
+    
+    /**
+     * End the showdown and the game with its winner
+     * @param {string|null} winnerId - Last player standing
+     * @param {string} reason - How the showdown was decided (lastStanding, timeout)
+     */
+    finishShowdown(winnerId, reason) {
+      if (this.room.state.phase !== this.PHASES.SHOWDOWN) return;
+      
+      if (this.showdownShrinkTimer) {
+        this.showdownShrinkTimer.clear();
+        this.showdownShrinkTimer = null;
+      }
+      
+      // Everyone else still standing is eliminated
+      this.room.state.players.forEach(player => {
+        if (player.isAlive && player.id !== winnerId) {
+          this.room.combatSystem.handleDeath(player, { source: "showdown" });
         }
-      }, this.gauntletPhaseDuration);
+      });
+      
+      const winner = winnerId ? this.room.state.players.get(winnerId) : null;
+      this.room.broadcast("showdownResult", {
+        winnerId,
+        winnerName: winner ? winner.name : null,
+        reason
+      });
+      
+      console.log(
+        `Showdown resolved (${reason}), winner: ${winner ? winner.name : "none"}`
+      );
+      
+      this.endGame("showdown", winnerId);
     }
     
     updateDungeonPhase(deltaTime) {
@@ -241,13 +461,31 @@ export class PhaseManager {
     }
     
     updateGauntletPhase(deltaTime) {
-      // Implement gauntlet phase specific updates
+      if (this.activeGauntlets.size === 0) return;
+      
+      // Resolve any gauntlet that is down to its last member
+      for (const [gauntletId, gauntlet] of this.activeGauntlets.entries()) {
+        if (gauntlet.resolved) continue;
+        
+        const survivors = this.getGauntletSurvivors(gauntlet);
+        if (survivors.length <= 1) {
+          this.resolveGauntlet(gauntletId, survivors[0] || null, "lastStanding");
+        }
+      }
+      
+      // End the phase early once every gauntlet has a result
+      const allResolved = Array.from(this.activeGauntlets.values())
+        .every(gauntlet => gauntlet.resolved);
+      
+      if (allResolved) {
+        this.finishGauntletPhase();
+      }
     }
     
     createGauntlets() {
-      const alivePlayers = Object.entries(this.room.state.players)
-        .filter(([_, player]) => player.isAlive)
-        .map(([id, _]) => id);
+      const alivePlayers = Array.from(this.room.state.players.values())
+        .filter(player => player.isAlive)
+        .map(player => player.id);
       
       // Shuffle players for random grouping
       this.shuffleArray(alivePlayers);
@@ -269,15 +507,24 @@ export class PhaseManager {
       }
       
       // Broadcast gauntlet assignments
+      this.activeGauntlets.clear();
       gauntlets.forEach((gauntlet, index) => {
         const gauntletId = `gauntlet_${index}`;
         
+        // Track the group so it can be resolved when one member is left
+        this.activeGauntlets.set(gauntletId, {
+          players: gauntlet,
+          resolved: false
+        });
+        
         // Inform players of their gauntlet assignments
         gauntlet.forEach(playerId => {
+          const player = this.room.state.players.get(playerId);
+          
           // Make sure player exists
-          if (this.room.state.players[playerId]) {
+          if (player) {
             // Assign gauntlet ID to player
-            this.room.state.players[playerId].gauntletId = gauntletId;
+            player.gauntletId = gauntletId;
             
             // Send message to player
             const client = this.room.clients.find(c => c.id === playerId);
@@ -286,8 +533,8 @@ export class PhaseManager {
                 gauntletId,
                 players: gauntlet.map(id => ({
                   id,
-                  name: this.room.state.players[id].name,
-                  level: this.room.state.players[id].level
+                  name: this.room.state.players.get(id)?.name,
+                  level: this.room.state.players.get(id)?.stats.level
                 }))
               });
             }
@@ -298,73 +545,81 @@ export class PhaseManager {
       return gauntlets;
     }
     
+    getGauntletSurvivors(gauntlet) {
+      return gauntlet.players.filter(playerId => {
+        const player = this.room.state.players.get(playerId);
+        return player && player.isAlive;
+      });
+    }
+    
     resolveGauntlets() {
-      // Get all gauntlets by looking at player.gauntletId
-      const gauntlets = new Map();
-      
-      for (const playerId in this.room.state.players) {
-        const player = this.room.state.players[playerId];
-        if (player.gauntletId && player.isAlive) {
-          if (!gauntlets.has(player.gauntletId)) {
-            gauntlets.set(player.gauntletId, []);
-          }
-          gauntlets.get(player.gauntletId).push(playerId);
-        }
+      // Timer ran out: the survivor with the most health wins each open gauntlet
+      for (const [gauntletId, gauntlet] of this.activeGauntlets.entries()) {
+        if (gauntlet.resolved) continue;
+        
+        const survivors = this.shuffleArray(this.getGauntletSurvivors(gauntlet))
+          .sort((a, b) => {
+            return this.room.state.players.get(b).stats.health -
+              this.room.state.players.get(a).stats.health;
+          });
+        
+        this.resolveGauntlet(gauntletId, survivors[0] || null, "timeout");
       }
+    }
+    
+    resolveGauntlet(gauntletId, winnerId, reason) {
+      const gauntlet = this.activeGauntlets.get(gauntletId);
+      if (!gauntlet || gauntlet.resolved) return;
       
-      // For each gauntlet, determine a winner randomly
-      for (const [gauntletId, players] of gauntlets.entries()) {
-        if (players.length > 1) {
-          // Pick random winner
-          const winnerIndex = Math.floor(Math.random() * players.length);
-          const winnerId = players[winnerIndex];
-          
-          // Mark other players as eliminated
-          players.forEach(playerId => {
-            if (playerId !== winnerId) {
-              this.room.state.players[playerId].isAlive = false;
-              
-              // Notify player of elimination
-              const client = this.room.clients.find(c => c.id === playerId);
-              if (client) {
-                client.send("eliminated", {
-                  gauntletId,
-                  winnerId,
-                  winnerName: this.room.state.players[winnerId].name
-                });
-              }
-            }
-          });
-          
-          // Notify winner
-          const winnerClient = this.room.clients.find(c => c.id === winnerId);
-          if (winnerClient) {
-            winnerClient.send("gauntletVictory", {
-              gauntletId,
-              eliminatedPlayers: players.filter(id => id !== winnerId).map(id => ({
-                id,
-                name: this.room.state.players[id].name
-              }))
-            });
-          }
-          
-          // Broadcast gauntlet result
-          this.room.broadcast("gauntletResult", {
-            gauntletId,
-            winnerId,
-            winnerName: this.room.state.players[winnerId].name,
-            players: players.length
-          });
-        }
+      gauntlet.resolved = true;
+      const winner = winnerId ? this.room.state.players.get(winnerId) : null;
+      
+      // Eliminate everyone else still standing (only happens on timeout)
+      this.getGauntletSurvivors(gauntlet).forEach(playerId => {
+        if (playerId === winnerId) return;
+        
+        this.room.combatSystem.handleDeath(this.room.state.players.get(playerId), {
+          source: "gauntlet"
+        });
+      });
+      
+      // Notify winner
+      const winnerClient = this.room.clients.find(c => c.id === winnerId);
+      if (winnerClient) {
+        winnerClient.send("gauntletVictory", {
+          gauntletId,
+          eliminatedPlayers: gauntlet.players.filter(id => id !== winnerId).map(id => ({
+            id,
+            name: this.room.state.players.get(id)?.name || "Unknown"
+          }))
+        });
       }
       
-      // Clear gauntlet assignments
-      for (const playerId in this.room.state.players) {
-        this.room.state.players[playerId].gauntletId = null;
+      // Broadcast gauntlet result
+      this.room.broadcast("gauntletResult", {
+        gauntletId,
+        winnerId,
+        winnerName: winner ? winner.name : null,
+        players: gauntlet.players.length,
+        reason
+      });
+      
+      if (winner) {
+        this.room.scoringSystem.recordGauntletWin(winner);
+        this.room.objectiveSystem.handleGauntletSurvived(winner);
       }
+      
+      console.log(
+        `Gauntlet ${gauntletId} resolved (${reason}), winner: ${winner ? winner.name : "none"}`
+      );
     }
     
-    endGame(reason = "normal") {
+    /**
+     * End the game and show results
+     * @param {string} reason - Why the game ended
+     * @param {string|null} winnerId - Winner decided by the game, otherwise the leaderboard leader
+     */
+    endGame(reason = "normal", winnerId = null) {
       console.log(`Ending game in room ${this.room.roomId}. Reason: ${reason}`);
       
       // Set game state
@@ -372,35 +627,27 @@ export class PhaseManager {
       this.room.state.gameEnded = true;
       this.setPhase(this.PHASES.RESULTS);
       
-      // Determine winner
+      if (this.showdownShrinkTimer) {
+        this.showdownShrinkTimer.clear();
+        this.showdownShrinkTimer = null;
+      }
+      this.room.eventScheduler.stop();
+      this.room.eventManager.endAll();
+      
+      // Determine winner, a showdown always names its own
       this.room.leaderboardSystem.updateLeaderboard();
-      this.room.state.winner = this.room.state.leaderboard[0] || null;
+      const leader = reason === "showdown" ? null : this.room.state.leaderboard[0];
+      this.room.state.winner = winnerId || leader || null;
       
       // Broadcast game ended
       this.room.broadcast("gameEnded", {
         reason: reason,
         winner: this.room.state.winner ? {
           id: this.room.state.winner,
-          name: this.room.state.players[this.room.state.winner]?.name || "Unknown"
+          name: this.room.state.players.get(this.room.state.winner)?.name || "Unknown"
         } : null,
-        leaderboard: this.room.state.leaderboard.map(id => {
-          const player = this.room.state.players[id];
-          if (!player) {
-            return {
-              id: id,
-              name: "Unknown",
-              progress: 0,
-              completedObjectives: []
-            };
-          }
-          
-          return {
-            id: id,
-            name: player.name || "Unknown",
-            progress: player.currentProgress || 0,
-            completedObjectives: player.completedObjectives || []
-          };
-        })
+        leaderboard: this.room.leaderboardSystem.getEntries(),
+        combatSummary: this.room.combatLogSystem.getSummary()
       });
       
       // Lock the room to prevent new players from joining
@@ -0,0 +1,241 @@
+// server/systems/PhysicsSystem.js
+import { MonsterState } from "../schemas/MonsterState.js";
+
+/**
+ * Default physics settings
+ */
+export const DEFAULT_PHYSICS = {
+  separation: 0.5, // Fraction of a body overlap resolved per tick
+  dashKnockback: 160, // Distance in pixels a dash pushes the player it runs into
+  hitKnockback: 40, // Distance in pixels a melee or projectile hit pushes the target
+  damping: 10, // Knockback velocity decay per second, higher stops sooner
+  minSpeed: 5, // Knockback below this speed (pixels per second) is dropped
+};
+
+/**
+ * PhysicsSystem - Player bodies and knockback
+ *
+ * Players are circles with the collision system's player radius that push
+ * each other apart when they overlap. Knockback is a velocity that decays
+ * exponentially, so an impulse of `distance` moves the body about that far in
+ * total. Every displacement is slid along walls by the collision system.
+ */
+export class PhysicsSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.settings = { ...DEFAULT_PHYSICS };
+    this.velocities = new Map(); // Entity ID -> { x, y } knockback velocity in pixels per second
+  }
+
+  /**
+   * Initialize the system with configuration
+   * @param {Object} config - DEFAULT_PHYSICS overrides
+   */
+  init(config = {}) {
+    const { debug, ...settings } = config;
+
+    this.debug = debug || false;
+    this.settings = { ...this.settings, ...settings };
+
+    return this;
+  }
+
+  /**
+   * Push an entity away in a direction
+   * @param {PlayerState|MonsterState} entity - Entity to push
+   * @param {Object} direction - Direction {x, y}, normalized here
+   * @param {number} distance - Total distance in pixels the push moves it
+   */
+  applyImpulse(entity, direction, distance) {
+    if (!entity || !entity.isAlive || distance <= 0) return;
+
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (!length) return;
+
+    // Velocity that decays to a total travel of `distance`
+    const speed = distance * this.settings.damping;
+    const velocity = this.velocities.get(entity.id) || { x: 0, y: 0 };
+    velocity.x += (direction.x / length) * speed;
+    velocity.y += (direction.y / length) * speed;
+    this.velocities.set(entity.id, velocity);
+  }
+
+  /**
+   * Knock a hit target away from the point the hit came from
+   * @param {PlayerState|MonsterState} target - Entity that was hit
+   * @param {number} fromX - X position the hit came from
+   * @param {number} fromY - Y position the hit came from
+   * @param {number} distance - Push distance, defaults to the hit knockback
+   */
+  applyHitImpulse(target, fromX, fromY, distance = this.settings.hitKnockback) {
+    this.applyImpulse(
+      target,
+      { x: target.position.x - fromX, y: target.position.y - fromY },
+      distance
+    );
+  }
+
+  /**
+   * Move knocked-back entities and separate overlapping players
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    const moved = new Set();
+
+    this.updateKnockback(deltaTime, moved);
+    this.separatePlayers(moved);
+
+    // Correct the moved players' own predictions as well
+    if (moved.size > 0) {
+      const players = [];
+      moved.forEach((id) => {
+        const player = this.room.state.players.get(id);
+        if (player) {
+          players.push({ id, x: player.position.x, y: player.position.y });
+        }
+      });
+
+      if (players.length > 0) {
+        this.room.broadcast("playersPushed", { players });
+      }
+    }
+  }
+
+  updateKnockback(deltaTime, moved) {
+    const dt = deltaTime / 1000;
+    const decay = Math.exp(-this.settings.damping * dt);
+    // Distance covered this tick by a velocity decaying from v: v * (1 - decay) / damping
+    const travel = (1 - decay) / this.settings.damping;
+
+    for (const [id, velocity] of Array.from(this.velocities.entries())) {
+      const entity = this.getEntity(id);
+      if (!entity || !entity.isAlive) {
+        this.velocities.delete(id);
+        continue;
+      }
+
+      if (this.moveBody(entity, velocity.x * travel, velocity.y * travel)) {
+        moved.add(id);
+      }
+
+      velocity.x *= decay;
+      velocity.y *= decay;
+      if (Math.hypot(velocity.x, velocity.y) < this.settings.minSpeed) {
+        this.velocities.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Push overlapping player bodies apart
+   * @param {Set} moved - IDs of players moved this tick, updated in place
+   */
+  separatePlayers(moved) {
+    const bodies = Array.from(this.room.state.players.values()).filter((player) =>
+      this.hasBody(player)
+    );
+    const minDistance = this.getRadius(null) * 2;
+
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const a = bodies[i];
+        const b = bodies[j];
+
+        let dx = b.position.x - a.position.x;
+        let dy = b.position.y - a.position.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= minDistance) continue;
+
+        // Stacked exactly on top of each other, split them along X
+        if (distance === 0) {
+          dx = a.id < b.id ? 1 : -1;
+          dy = 0;
+          distance = 1;
+        }
+
+        const push = ((minDistance - distance) * this.settings.separation) / 2;
+        const nx = (dx / distance) * push;
+        const ny = (dy / distance) * push;
+
+        if (this.moveBody(a, -nx, -ny)) moved.add(a.id);
+        if (this.moveBody(b, nx, ny)) moved.add(b.id);
+      }
+    }
+  }
+
+  /**
+   * Find the first player body along a path
+   * @param {PlayerState} mover - Player moving along the path
+   * @param {number} x - X position to check
+   * @param {number} y - Y position to check
+   * @returns {PlayerState|null} - Player whose body overlaps the position
+   */
+  findBodyAt(mover, x, y) {
+    const minDistance = this.getRadius(null) * 2;
+
+    for (const player of this.room.state.players.values()) {
+      if (player === mover || !this.hasBody(player)) continue;
+
+      if (Math.hypot(player.position.x - x, player.position.y - y) < minDistance) {
+        return player;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move an entity, sliding along walls instead of entering them
+   * @param {PlayerState|MonsterState} entity - Entity to move
+   * @param {number} dx - X displacement
+   * @param {number} dy - Y displacement
+   * @returns {boolean} - True if the entity moved
+   */
+  moveBody(entity, dx, dy) {
+    if (!dx && !dy) return false;
+
+    const startX = entity.position.x;
+    const startY = entity.position.y;
+    const resolved = this.room.collisionSystem.resolveCollision(
+      startX,
+      startY,
+      startX + dx,
+      startY + dy,
+      this.getRadius(entity)
+    );
+
+    entity.position.x = resolved.x;
+    entity.position.y = resolved.y;
+
+    return resolved.x !== startX || resolved.y !== startY;
+  }
+
+  /**
+   * Check if a player takes part in body collisions
+   * @param {PlayerState} player - Player to check
+   * @returns {boolean} - True for alive players standing on the floor
+   */
+  hasBody(player) {
+    return player.isAlive && player.onFloor && !player.isSpectator;
+  }
+
+  getRadius(entity) {
+    return entity instanceof MonsterState
+      ? entity.radius
+      : this.room.collisionSystem.playerRadius;
+  }
+
+  getEntity(id) {
+    return this.room.state.players.get(id) || this.room.state.monsters.get(id) || null;
+  }
+
+  /**
+   * Drop the knockback of an entity that left or was removed
+   * @param {string} id - Player or monster ID
+   */
+  removePlayer(id) {
+    this.velocities.delete(id);
+  }
+}
@@ -0,0 +1,136 @@
+// server/systems/PickupSystem.js
+import { PropType } from "../dungeonGenerator/types.js";
+import { Item } from "../schemas/Item.js";
+
+/**
+ * Props that are collected by walking over them, keyed by PropType value
+ * - effect: heal, mana, gold or key
+ * - amount: effect strength (health, mana or gold)
+ */
+export const PICKUPS = {
+  [PropType.HealthSmall]: { name: "HealthSmall", effect: "heal", amount: 25 },
+  [PropType.HealthLarge]: { name: "HealthLarge", effect: "heal", amount: 60 },
+  [PropType.ManaSmall]: { name: "ManaSmall", effect: "mana", amount: 25 },
+  [PropType.ManaLarge]: { name: "ManaLarge", effect: "mana", amount: 60 },
+  [PropType.Coin]: { name: "Coin", effect: "gold", amount: 10 },
+  [PropType.KeyGold]: { name: "KeyGold", effect: "key", keyType: "gold" },
+  [PropType.KeySilver]: { name: "KeySilver", effect: "key", keyType: "silver" },
+};
+
+/**
+ * PickupSystem - Collects walk-over props from the props layer
+ */
+export class PickupSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.keyCounter = 0;
+  }
+
+  /**
+   * Check every player's tile for a pickup
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    const mapData = this.room.mapManager.currentMap;
+    if (!mapData || !mapData.layers || !mapData.layers.props) return;
+
+    const props = mapData.layers.props;
+    const tileSize = mapData.tileSize || 64;
+    const updates = [];
+
+    this.room.state.players.forEach((player) => {
+      if (!player.isAlive || !player.onFloor) return;
+
+      const tileX = Math.floor(player.position.x / tileSize);
+      const tileY = Math.floor(player.position.y / tileSize);
+      if (!props[tileY]) return;
+
+      const pickup = PICKUPS[props[tileY][tileX]];
+      if (!pickup) return;
+
+      // Pickups that would do nothing stay on the floor
+      const result = this.applyPickup(player, pickup);
+      if (!result) return;
+
+      props[tileY][tileX] = 0;
+      updates.push({ x: tileX, y: tileY, value: 0 });
+
+      const client = this.room.clients.find((c) => c.id === player.id);
+      if (client) {
+        client.send("pickupCollected", {
+          type: pickup.name,
+          x: tileX,
+          y: tileY,
+          ...result,
+        });
+      }
+
+      this.debug &&
+        console.log(`${player.name} picked up ${pickup.name} at (${tileX}, ${tileY})`);
+    });
+
+    // Notify all clients about collected props in one patch
+    if (updates.length > 0) {
+      this.room.broadcast("propsUpdated", { updates });
+    }
+  }
+
+  /**
+   * Apply a pickup's effect to a player
+   * @param {PlayerState} player - Player collecting the pickup
+   * @param {Object} pickup - PICKUPS entry
+   * @returns {Object|null} - Effect result, or null if nothing happened
+   */
+  applyPickup(player, pickup) {
+    const stats = player.stats;
+
+    switch (pickup.effect) {
+      case "heal": {
+        const healed = Math.min(pickup.amount, stats.maxHealth - stats.health);
+        if (healed <= 0) return null;
+
+        stats.health += healed;
+        return { healed, health: stats.health };
+      }
+
+      case "mana": {
+        const restored = Math.min(pickup.amount, stats.maxMana - stats.mana);
+        if (restored <= 0) return null;
+
+        stats.mana += restored;
+        return { restored, mana: stats.mana };
+      }
+
+      case "gold":
+        player.gold += pickup.amount;
+        return { gold: pickup.amount, total: player.gold };
+
+      case "key": {
+        const key = this.createKey(pickup.keyType);
+        if (!this.room.inventorySystem.addItem(player, key)) return null;
+
+        return { itemId: key.id, keyType: pickup.keyType };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Create a key item
+   * @param {string} keyType - "gold" or "silver"
+   * @returns {Item} - Key item
+   */
+  createKey(keyType) {
+    const key = new Item();
+    key.id = `key_${keyType}_${++this.keyCounter}`;
+    key.name = keyType === "gold" ? "Gold Key" : "Silver Key";
+    key.type = "key";
+    key.rarity = keyType;
+
+    return key;
+  }
+}
@@ -0,0 +1,174 @@
+// server/systems/PortalSystem.js
+
+/**
+ * PortalSystem - Teleports players between linked portal pairs
+ *
+ * Portals come from the generator with the map data, so clients already know
+ * where they are. The server only validates use and picks a safe exit tile.
+ */
+export class PortalSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.portals = new Map(); // Portal ID -> { id, x, y, roomType, destinationId }
+    this.cooldowns = new Map(); // Player ID -> clock time the player may teleport again
+
+    this.activationRange = 80; // Max distance from the portal tile centre in pixels
+    this.cooldown = 3000; // Per-player cooldown in ms
+    this.exitSearchRadius = 4; // Max tiles from the exit portal to look for a landing spot
+  }
+
+  /**
+   * Replace all portals with the portals of a freshly generated map
+   * @param {Object} mapData - Map data with an optional `portals` list
+   * @returns {number} - Number of portals
+   */
+  spawnFromMap(mapData) {
+    this.portals.clear();
+
+    const portals = (mapData && mapData.portals) || [];
+    portals.forEach((portal) => this.portals.set(portal.id, portal));
+
+    this.debug && console.log(`Loaded ${this.portals.size} portals`);
+
+    return this.portals.size;
+  }
+
+  /**
+   * Find the portal on a tile
+   * @param {number} tileX - Tile X coordinate
+   * @param {number} tileY - Tile Y coordinate
+   * @returns {Object|null} - Portal or null if none
+   */
+  getPortalAt(tileX, tileY) {
+    for (const portal of this.portals.values()) {
+      if (portal.x === tileX && portal.y === tileY) return portal;
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a player interacting with a portal
+   * @param {Client} client - Client object
+   * @param {PlayerState} player - Player state
+   * @param {Object} message - Interaction message { tileX, tileY }
+   */
+  handleInteraction(client, player, message) {
+    if (!player.isAlive) return;
+
+    const portal = this.getPortalAt(message.tileX, message.tileY);
+    if (!portal) {
+      this.reject(client, message, "notFound");
+      return;
+    }
+
+    // The player has to be standing at the portal they claim to use
+    const tileSize = this.room.collisionSystem.tileSize;
+    const distance = Math.hypot(
+      player.position.x - (portal.x + 0.5) * tileSize,
+      player.position.y - (portal.y + 0.5) * tileSize
+    );
+    if (distance > this.activationRange) {
+      this.reject(client, message, "tooFar");
+      return;
+    }
+
+    const now = this.room.clock.currentTime;
+    const readyAt = this.cooldowns.get(player.id) || 0;
+    if (now < readyAt) {
+      this.reject(client, message, "cooldown", { remaining: readyAt - now });
+      return;
+    }
+
+    const destination = this.portals.get(portal.destinationId);
+    const exit = destination && this.findExitPosition(destination);
+    if (!exit) {
+      this.reject(client, message, "blocked");
+      return;
+    }
+
+    this.cooldowns.set(player.id, now + this.cooldown);
+    this.teleport(client, player, portal, destination, exit);
+  }
+
+  /**
+   * Find a collision-free spot next to an exit portal
+   * The portal tile itself is skipped so the player doesn't land on it, and
+   * spots behind a wall from the portal are skipped so the player can't be
+   * dropped somewhere they couldn't walk to from it.
+   * @param {Object} portal - Exit portal
+   * @returns {Object|null} - World position { x, y } or null if none
+   */
+  findExitPosition(portal) {
+    const tileSize = this.room.collisionSystem.tileSize;
+    const tile = this.room.pathfindingSystem.findNearestWalkable(
+      portal.x,
+      portal.y,
+      this.exitSearchRadius,
+      (x, y) =>
+        !this.getPortalAt(x, y) &&
+        !this.room.collisionSystem.checkCollision((x + 0.5) * tileSize, (y + 0.5) * tileSize) &&
+        this.room.pathfindingSystem.canReach(portal.x, portal.y, x, y)
+    );
+
+    if (!tile) return null;
+
+    return { x: (tile.x + 0.5) * tileSize, y: (tile.y + 0.5) * tileSize };
+  }
+
+  /**
+   * Move a player through a portal and notify clients
+   * @param {Client} client - Client object
+   * @param {PlayerState} player - Player state
+   * @param {Object} portal - Entry portal
+   * @param {Object} destination - Exit portal
+   * @param {Object} exit - World position { x, y } to land on
+   */
+  teleport(client, player, portal, destination, exit) {
+    player.position.x = exit.x;
+    player.position.y = exit.y;
+
+    // Notify the player
+    client.send("teleported", {
+      x: exit.x,
+      y: exit.y,
+      portalId: portal.id,
+      destinationId: destination.id,
+      cooldown: this.cooldown,
+      message: "You've been teleported!",
+    });
+
+    // Notify other players
+    this.room.broadcast(
+      "playerMoved",
+      {
+        id: player.id,
+        x: exit.x,
+        y: exit.y,
+      },
+      { except: client }
+    );
+
+    this.debug &&
+      console.log(`${player.name} used ${portal.id} to ${destination.id} at (${exit.x}, ${exit.y})`);
+  }
+
+  /**
+   * Remove per-player tracking when a player leaves
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.cooldowns.delete(playerId);
+  }
+
+  reject(client, message, reason, extra = {}) {
+    client.send("portalRejected", {
+      x: message.tileX,
+      y: message.tileY,
+      reason,
+      ...extra,
+    });
+  }
+}
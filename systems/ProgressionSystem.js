@@ -0,0 +1,216 @@
+// server/systems/ProgressionSystem.js
+import { MonsterState } from "../schemas/MonsterState.js";
+
+/**
+ * Default XP curve
+ *
+ * Total XP needed to reach level N is baseXp * ((N - 1) ^ exponent).
+ */
+export const DEFAULT_XP_CURVE = {
+  baseXp: 100,
+  exponent: 1.5,
+  maxLevel: 30,
+};
+
+/**
+ * Default XP rewards per source
+ */
+export const DEFAULT_XP_REWARDS = {
+  playerKill: 100, // Base XP for killing another player
+  playerKillPerLevel: 25, // Bonus XP per level of the victim
+  chest: 40,
+  objective: 150,
+  // Monster kills, keyed by MonsterType name
+  monsters: {
+    Bandit: 30,
+    CentaurFemale: 50,
+    CentaurMale: 55,
+    MushroomLarge: 35,
+    MushroomSmall: 15,
+    Skeleton: 30,
+    Troll: 120,
+    Wolf: 25,
+  },
+  monsterDefault: 25,
+  monsterPerFloor: 0.2, // Extra XP multiplier per floor below the first
+};
+
+/**
+ * Default base stat increases per level gained
+ */
+export const DEFAULT_LEVEL_UP_STATS = {
+  maxHealth: 10,
+  damage: 2,
+  defense: 1,
+};
+
+/**
+ * ProgressionSystem - Grants XP and levels players up
+ */
+export class ProgressionSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.xpCurve = { ...DEFAULT_XP_CURVE };
+    this.xpRewards = { ...DEFAULT_XP_REWARDS };
+    this.levelUpStats = { ...DEFAULT_LEVEL_UP_STATS };
+  }
+
+  /**
+   * Initialize the system with configuration
+   * @param {Object} config - { xpCurve, xpRewards, levelUpStats } overrides
+   */
+  init(config = {}) {
+    this.debug = config.debug || false;
+    this.xpCurve = { ...this.xpCurve, ...config.xpCurve };
+    this.xpRewards = { ...this.xpRewards, ...config.xpRewards };
+    this.levelUpStats = { ...this.levelUpStats, ...config.levelUpStats };
+
+    return this;
+  }
+
+  /**
+   * Get the total XP needed to reach a level
+   * @param {number} level - Level to reach
+   * @returns {number} - Total XP required
+   */
+  getXpForLevel(level) {
+    if (level <= 1) return 0;
+
+    const { baseXp, exponent } = this.xpCurve;
+    return Math.round(baseXp * Math.pow(level - 1, exponent));
+  }
+
+  /**
+   * Grant XP to a player and apply any resulting level-ups
+   * @param {PlayerState} player - Player receiving XP
+   * @param {number} amount - XP amount
+   * @param {string} source - What the XP was earned from
+   * @returns {number} - Number of levels gained
+   */
+  grantXp(player, amount, source) {
+    if (!player || !player.isAlive || amount <= 0) return 0;
+
+    const stats = player.stats;
+    stats.experience += Math.round(amount);
+
+    let levelsGained = 0;
+    while (
+      stats.level < this.xpCurve.maxLevel &&
+      stats.experience >= this.getXpForLevel(stats.level + 1)
+    ) {
+      this.levelUp(player);
+      levelsGained++;
+    }
+
+    const client = this.getClient(player.id);
+    if (client) {
+      client.send("xpGained", {
+        amount: Math.round(amount),
+        source,
+        experience: stats.experience,
+        level: stats.level,
+        nextLevelXp: this.getXpForLevel(stats.level + 1),
+      });
+    }
+
+    this.debug &&
+      console.log(`${player.name} gained ${amount} XP from ${source} (${stats.experience} total)`);
+
+    return levelsGained;
+  }
+
+  /**
+   * Raise a player's level and base stats
+   * @param {PlayerState} player - Player levelling up
+   */
+  levelUp(player) {
+    const stats = player.stats;
+
+    // Level gains are part of the derived stats
+    stats.level += 1;
+    this.room.statsSystem.recalculate(player);
+
+    console.log(`Player ${player.name} reached level ${stats.level}`);
+
+    const client = this.getClient(player.id);
+    if (client) {
+      client.send("levelUp", {
+        level: stats.level,
+        experience: stats.experience,
+        nextLevelXp: this.getXpForLevel(stats.level + 1),
+        stats: {
+          health: stats.health,
+          maxHealth: stats.maxHealth,
+          damage: stats.damage,
+          defense: stats.defense,
+          critChance: stats.critChance,
+          critMultiplier: stats.critMultiplier,
+        },
+      });
+    }
+
+    // Let other players show the level-up effect
+    this.room.broadcast(
+      "playerLevelUp",
+      { id: player.id, level: stats.level },
+      { except: client }
+    );
+
+    // Each level gained earns a boon choice
+    this.room.boonSystem.offerBoons(player);
+  }
+
+  /**
+   * Award XP to whoever landed a killing blow
+   * @param {PlayerState|MonsterState} victim - Entity that died
+   * @param {Object} attacker - Killer, only players earn XP
+   */
+  handleKill(victim, attacker) {
+    if (!attacker || attacker === victim || attacker instanceof MonsterState) return;
+    if (!this.room.state.players.get(attacker.id)) return;
+
+    if (victim instanceof MonsterState) {
+      this.grantXp(attacker, this.getMonsterXp(victim), "monster");
+    } else {
+      const rewards = this.xpRewards;
+      const amount = rewards.playerKill + rewards.playerKillPerLevel * victim.stats.level;
+      this.grantXp(attacker, amount, "playerKill");
+    }
+  }
+
+  /**
+   * Get the XP a monster is worth, scaled by floor
+   * @param {MonsterState} monster - Monster that died
+   * @returns {number} - XP amount
+   */
+  getMonsterXp(monster) {
+    const rewards = this.xpRewards;
+    const base = rewards.monsters[monster.type] ?? rewards.monsterDefault;
+    const floorLevel = monster.stats.level || 1;
+
+    return Math.round(base * (1 + (floorLevel - 1) * rewards.monsterPerFloor));
+  }
+
+  /**
+   * Award XP for opening a chest
+   * @param {PlayerState} player - Player who opened the chest
+   */
+  handleChestOpened(player) {
+    this.grantXp(player, this.xpRewards.chest, "chest");
+  }
+
+  /**
+   * Award XP for completing an objective
+   * @param {PlayerState} player - Player who completed the objective
+   * @param {number} amount - Optional XP override for this objective
+   */
+  handleObjectiveCompleted(player, amount = this.xpRewards.objective) {
+    this.grantXp(player, amount, "objective");
+  }
+
+  getClient(playerId) {
+    return this.room.clients.find((c) => c.id === playerId);
+  }
+}
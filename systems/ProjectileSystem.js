@@ -0,0 +1,247 @@
+// server/systems/ProjectileSystem.js
+import { MonsterState } from "../schemas/MonsterState.js";
+
+/**
+ * ProjectileSystem - Simulates projectiles inside the room's fixed-timestep loop
+ *
+ * Projectiles are not part of the synced state. Clients get one
+ * "projectileSpawned" message with everything needed to simulate the flight
+ * themselves, and one "projectileImpact" message when it ends.
+ */
+export class ProjectileSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.projectiles = new Map(); // Projectile ID -> projectile
+    this.projectileCounter = 0;
+  }
+
+  /**
+   * Launch a projectile
+   * @param {PlayerState|MonsterState} owner - Entity firing the projectile
+   * @param {Object} options - { direction: {x, y}, speed, range, radius, stats, source, statusEffect }
+   *   stats holds the damage, critChance and critMultiplier rolled on hit
+   *   (defaults to the owner's), statusEffect is an optional { id, duration } applied on hit
+   * @returns {Object|null} - The projectile, or null without a direction
+   */
+  spawn(owner, options) {
+    const { direction, speed = 600, range = 640, radius = 8, source = "projectile" } = options;
+
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (!length) return null;
+
+    const ownerStats = options.stats || owner.stats;
+    const projectile = {
+      id: `proj_${++this.projectileCounter}`,
+      ownerId: owner.id,
+      mapId: this.room.mapManager.currentMap ? this.room.mapManager.currentMap.id : null,
+      x: owner.position.x,
+      y: owner.position.y,
+      dx: direction.x / length,
+      dy: direction.y / length,
+      speed,
+      range,
+      radius,
+      travelled: 0,
+      source,
+      statusEffect: options.statusEffect || null,
+      // Snapshot the stats so hits still count if the owner dies mid-flight
+      stats: {
+        damage: ownerStats.damage,
+        critChance: ownerStats.critChance,
+        critMultiplier: ownerStats.critMultiplier,
+      },
+    };
+
+    this.projectiles.set(projectile.id, projectile);
+
+    // Everything a client needs to simulate the flight on its own
+    this.room.broadcast("projectileSpawned", {
+      id: projectile.id,
+      ownerId: projectile.ownerId,
+      source,
+      x: Math.round(projectile.x),
+      y: Math.round(projectile.y),
+      dx: Number(projectile.dx.toFixed(3)),
+      dy: Number(projectile.dy.toFixed(3)),
+      speed,
+      range,
+      radius,
+    });
+
+    return projectile;
+  }
+
+  /**
+   * Move every projectile and resolve wall, target and range impacts
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    if (this.projectiles.size === 0) return;
+
+    const currentMap = this.room.mapManager.currentMap;
+    const mapId = currentMap ? currentMap.id : null;
+
+    for (const projectile of Array.from(this.projectiles.values())) {
+      // The floor it was fired on is gone
+      if (projectile.mapId !== mapId) {
+        this.impact(projectile, "mapChanged");
+        continue;
+      }
+
+      this.step(projectile, (projectile.speed * deltaTime) / 1000);
+    }
+  }
+
+  /**
+   * Advance a projectile in sub-steps no longer than its radius so it can't tunnel
+   * @param {Object} projectile - Projectile to move
+   * @param {number} distance - Distance to travel this tick
+   */
+  step(projectile, distance) {
+    const maxStep = Math.max(1, projectile.radius);
+    let remaining = Math.min(distance, projectile.range - projectile.travelled);
+
+    while (remaining > 0) {
+      const move = Math.min(maxStep, remaining);
+      projectile.x += projectile.dx * move;
+      projectile.y += projectile.dy * move;
+      projectile.travelled += move;
+      remaining -= move;
+
+      if (this.room.collisionSystem.checkCollision(projectile.x, projectile.y, projectile.radius)) {
+        this.impact(projectile, "wall");
+        return;
+      }
+
+      const target = this.findHit(projectile);
+      if (target) {
+        this.hit(projectile, target);
+        return;
+      }
+    }
+
+    if (projectile.travelled >= projectile.range) {
+      this.impact(projectile, "range");
+    }
+  }
+
+  /**
+   * Find the first valid target overlapping a projectile
+   * @param {Object} projectile - Projectile to check
+   * @returns {PlayerState|MonsterState|null} - Target hit, if any
+   */
+  findHit(projectile) {
+    const owner = this.getOwner(projectile);
+    const playerRadius = this.room.collisionSystem.playerRadius;
+
+    const overlaps = (target, targetRadius) =>
+      Math.hypot(target.position.x - projectile.x, target.position.y - projectile.y) <=
+      projectile.radius + targetRadius;
+
+    for (const player of this.room.state.players.values()) {
+      if (this.canHit(projectile, owner, player) && overlaps(player, playerRadius)) {
+        return player;
+      }
+    }
+
+    for (const monster of this.room.state.monsters.values()) {
+      if (this.canHit(projectile, owner, monster) && overlaps(monster, monster.radius)) {
+        return monster;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a projectile may hit a target
+   * Player projectiles follow the melee targeting rules, monster projectiles
+   * only hit players other than the monster's owner.
+   * @param {Object} projectile - Projectile
+   * @param {PlayerState|MonsterState|null} owner - Owner, if still around
+   * @param {PlayerState|MonsterState} target - Potential target
+   * @returns {boolean} - True if the target can be hit
+   */
+  canHit(projectile, owner, target) {
+    if (target.id === projectile.ownerId || !target.isAlive) return false;
+
+    if (owner instanceof MonsterState) {
+      return !(target instanceof MonsterState) && target.onFloor && target.id !== owner.ownerId;
+    }
+
+    // Projectiles from a player who left still can't hit that player's summons
+    if (!owner) {
+      return target.onFloor !== false && target.ownerId !== projectile.ownerId;
+    }
+
+    return this.room.combatSystem.canTarget(owner, target);
+  }
+
+  /**
+   * Damage a target and end the projectile
+   * @param {Object} projectile - Projectile that hit
+   * @param {PlayerState|MonsterState} target - Target hit
+   */
+  hit(projectile, target) {
+    const combat = this.room.combatSystem;
+    const { amount, isCrit } = combat.rollDamage(projectile.stats, target.stats);
+    const result = combat.applyDamage(target, amount, {
+      attacker: this.getOwner(projectile),
+      isCrit,
+      source: projectile.source,
+    });
+
+    if (!result.killed) {
+      const physics = this.room.physicsSystem;
+      physics.applyImpulse(
+        target,
+        { x: projectile.dx, y: projectile.dy },
+        physics.settings.hitKnockback
+      );
+
+      if (projectile.statusEffect) {
+        this.room.statusEffectSystem.apply(target, projectile.statusEffect.id, {
+          sourceId: projectile.ownerId,
+          duration: projectile.statusEffect.duration,
+        });
+      }
+    }
+
+    this.impact(projectile, "hit", {
+      targetId: target.id,
+      damage: result.damage,
+      isCrit,
+    });
+  }
+
+  /**
+   * Remove a projectile and tell clients where it ended
+   * @param {Object} projectile - Projectile
+   * @param {string} reason - hit, wall, range or mapChanged
+   * @param {Object} extra - Extra fields for hits
+   */
+  impact(projectile, reason, extra = {}) {
+    this.projectiles.delete(projectile.id);
+
+    this.room.broadcast("projectileImpact", {
+      id: projectile.id,
+      x: Math.round(projectile.x),
+      y: Math.round(projectile.y),
+      reason,
+      ...extra,
+    });
+
+    this.debug &&
+      console.log(`Projectile ${projectile.id} ended (${reason}) after ${Math.round(projectile.travelled)}px`);
+  }
+
+  getOwner(projectile) {
+    return (
+      this.room.state.players.get(projectile.ownerId) ||
+      this.room.state.monsters.get(projectile.ownerId) ||
+      null
+    );
+  }
+}
@@ -0,0 +1,206 @@
+// server/systems/RemainsSystem.js
+import { RemainsState } from "../schemas/RemainsState.js";
+
+/**
+ * RemainsSystem - Lootable remains left where players are eliminated
+ *
+ * Remains hold the eliminated player's backpack and gold and are synced
+ * through GameRoomState.remains. Anyone still in the match can claim them by
+ * interacting; they're lost when the floor under them collapses or the map
+ * changes. Equipped items stay with the player. Items a player drops, or
+ * can't fit in their backpack when looting, are left on the ground as remains
+ * too.
+ */
+export class RemainsSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.interactionRange = 96; // Max distance from the remains in pixels
+    this.remainsCounter = 0;
+  }
+
+  /**
+   * Move an eliminated player's backpack and gold into remains at their position
+   * @param {PlayerState} player - Eliminated player
+   * @param {Object} attacker - Killer (player or monster), if any
+   * @returns {RemainsState|null} - Remains, or null if there was nothing to drop
+   */
+  createRemains(player, attacker = null) {
+    if (player.items.length === 0 && player.gold <= 0) return null;
+
+    const remains = this.spawnRemains(player, player.position.x, player.position.y);
+    remains.killerId = attacker ? attacker.id : "";
+    remains.gold = player.gold;
+
+    player.items.forEach((item) => remains.items.push(item.clone()));
+    player.items.clear();
+    player.gold = 0;
+
+    return remains;
+  }
+
+  /**
+   * Leave items on the ground as remains anyone can claim
+   * @param {PlayerState} player - Player the items came from
+   * @param {Array<Item>} items - Items to leave, no longer in any backpack
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {RemainsState|null} - Remains, or null if there were no items
+   */
+  dropItems(player, items, x, y) {
+    if (items.length === 0) return null;
+
+    const remains = this.spawnRemains(player, x, y);
+    items.forEach((item) => remains.items.push(item.clone()));
+
+    return remains;
+  }
+
+  /**
+   * Add empty remains to the room state
+   * @param {PlayerState} player - Player the remains belong to
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @returns {RemainsState} - New remains
+   */
+  spawnRemains(player, x, y) {
+    const remains = new RemainsState();
+    remains.id = `remains_${player.id}_${++this.remainsCounter}`;
+    remains.ownerId = player.id;
+    remains.ownerName = player.name;
+    remains.x = x;
+    remains.y = y;
+
+    this.room.state.remains.set(remains.id, remains);
+
+    return remains;
+  }
+
+  /**
+   * Find remains by ID, or the closest remains on a tile
+   * @param {Object} message - Interaction message { remainsId } or { tileX, tileY }
+   * @returns {RemainsState|null} - Remains or null if none
+   */
+  findRemains(message) {
+    if (message.remainsId) {
+      return this.room.state.remains.get(message.remainsId) || null;
+    }
+
+    const tileSize = this.getTileSize();
+    for (const remains of this.room.state.remains.values()) {
+      if (
+        Math.floor(remains.x / tileSize) === message.tileX &&
+        Math.floor(remains.y / tileSize) === message.tileY
+      ) {
+        return remains;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle a player claiming remains
+   * Gold is always taken, items only while the backpack has room.
+   * @param {Client} client - Client object
+   * @param {PlayerState} player - Player state
+   * @param {Object} message - Interaction message { remainsId } or { tileX, tileY }
+   */
+  handleInteraction(client, player, message) {
+    if (!player.isAlive) return;
+
+    const remains = this.findRemains(message);
+    if (!remains) {
+      this.reject(client, message, null, "notFound");
+      return;
+    }
+
+    const distance = Math.hypot(player.position.x - remains.x, player.position.y - remains.y);
+    if (distance > this.interactionRange) {
+      this.reject(client, message, remains, "tooFar");
+      return;
+    }
+
+    const gold = remains.gold;
+    player.gold += gold;
+    remains.gold = 0;
+
+    const items = [];
+    while (remains.items.length > 0) {
+      const item = remains.items[0].clone();
+      if (!this.room.inventorySystem.addItem(player, item)) break;
+
+      remains.items.shift();
+      items.push(item);
+    }
+
+    client.send("remainsLooted", {
+      id: remains.id,
+      ownerId: remains.ownerId,
+      gold,
+      items: items.map((item) => item.toJSON()),
+      leftBehind: remains.items.length,
+    });
+
+    if (remains.items.length === 0) {
+      this.removeRemains(remains.id, "looted");
+    }
+
+    this.debug &&
+      console.log(
+        `${player.name} looted ${gold} gold and ${items.length} items from ${remains.ownerName}'s remains`
+      );
+  }
+
+  /**
+   * Drop remains lying on collapsed floor
+   * @param {Object} mapData - Current map data
+   */
+  removeOnHoles(mapData) {
+    const collapseSystem = this.room.floorCollapseSystem;
+    const fallen = [];
+
+    this.room.state.remains.forEach((remains) => {
+      if (collapseSystem.isHoleAt(mapData, remains.x, remains.y)) {
+        fallen.push(remains.id);
+      }
+    });
+
+    fallen.forEach((id) => this.removeRemains(id, "collapsed"));
+  }
+
+  /**
+   * Remove remains and tell clients why
+   * @param {string} id - Remains ID
+   * @param {string} reason - looted, collapsed or floorChanged
+   */
+  removeRemains(id, reason) {
+    if (!this.room.state.remains.has(id)) return;
+
+    this.room.state.remains.delete(id);
+    this.room.broadcast("remainsRemoved", { id, reason });
+  }
+
+  /**
+   * Remove all remains when a new map replaces the floor they lie on
+   */
+  clear() {
+    const ids = Array.from(this.room.state.remains.keys());
+    ids.forEach((id) => this.removeRemains(id, "floorChanged"));
+  }
+
+  getTileSize() {
+    const mapData = this.room.mapManager.currentMap;
+    return (mapData && mapData.tileSize) || 64;
+  }
+
+  reject(client, message, remains, reason) {
+    client.send("remainsRejected", {
+      id: remains ? remains.id : message.remainsId || null,
+      x: message.tileX,
+      y: message.tileY,
+      reason,
+    });
+  }
+}
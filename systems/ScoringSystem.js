@@ -0,0 +1,209 @@
+// server/systems/ScoringSystem.js
+
+/**
+ * Default points per scoring category
+ */
+export const DEFAULT_SCORE_WEIGHTS = {
+  playerKills: 100, // Per player eliminated
+  monsterKills: 10, // Per monster killed
+  damage: 0.5, // Per point of damage dealt to players and monsters
+  objectives: 150, // Per objective completed
+  floorsSurvived: 200, // Per floor still alive when its gauntlet ends
+  gauntletWins: 300, // Per gauntlet won
+};
+
+/**
+ * ScoringSystem - Match score per player and the ranking built from it
+ *
+ * Each player has a tally per category; the score is the weighted sum and is
+ * written to PlayerState.currentProgress. Scores only ever go up, so the
+ * ranking is kept sorted by moving a player up past anyone they overtake
+ * instead of re-sorting everyone.
+ */
+export class ScoringSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.weights = { ...DEFAULT_SCORE_WEIGHTS };
+    this.tallies = new Map(); // Player ID -> counts per category
+    this.ranking = []; // Player IDs, best first
+  }
+
+  /**
+   * Initialize the system with configuration
+   * Weights below zero are clamped to zero, since the ranking relies on scores never dropping.
+   * @param {Object} config - { debug, weights } where weights override DEFAULT_SCORE_WEIGHTS
+   */
+  init(config = {}) {
+    this.debug = config.debug || false;
+    this.weights = { ...this.weights, ...config.weights };
+
+    Object.keys(this.weights).forEach((category) => {
+      const weight = Number(this.weights[category]);
+      if (weight >= 0) {
+        this.weights[category] = weight;
+        return;
+      }
+
+      console.warn(`Invalid score weight for ${category}: ${this.weights[category]}, using 0`);
+      this.weights[category] = 0;
+    });
+
+    return this;
+  }
+
+  /**
+   * Start tracking a player, ranked after everyone with points
+   * @param {PlayerState} player - Player who joined
+   */
+  addPlayer(player) {
+    if (this.tallies.has(player.id)) return;
+
+    const tally = {};
+    Object.keys(this.weights).forEach((category) => {
+      tally[category] = 0;
+    });
+    this.tallies.set(player.id, tally);
+
+    this.ranking.push(player.id);
+    this.moveUp(this.ranking.length - 1);
+    this.syncLeaderboard();
+  }
+
+  /**
+   * Stop tracking a player who left
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.tallies.delete(playerId);
+
+    const index = this.ranking.indexOf(playerId);
+    if (index !== -1) {
+      this.ranking.splice(index, 1);
+      this.syncLeaderboard();
+    }
+  }
+
+  /**
+   * Count damage dealt by a player
+   * @param {Object} attacker - Entity that dealt the damage, only players score
+   * @param {number} amount - Damage dealt
+   */
+  recordDamage(attacker, amount) {
+    if (!attacker || amount <= 0) return;
+    this.add(attacker.id, "damage", amount);
+  }
+
+  /**
+   * Count a kill for the attacker
+   * @param {PlayerState|MonsterState} victim - Entity that died
+   * @param {Object} attacker - Killer, only players score
+   */
+  recordKill(victim, attacker) {
+    if (!attacker || attacker === victim) return;
+    const isPlayer = this.room.state.players.get(victim.id) === victim;
+    this.add(attacker.id, isPlayer ? "playerKills" : "monsterKills");
+  }
+
+  recordObjective(player) {
+    this.add(player.id, "objectives");
+  }
+
+  recordFloorSurvived(player) {
+    this.add(player.id, "floorsSurvived");
+  }
+
+  recordGauntletWin(player) {
+    this.add(player.id, "gauntletWins");
+  }
+
+  /**
+   * Add to a player's tally and move them up the ranking if they overtook anyone
+   * @param {string} playerId - Player ID, ignored unless it's a tracked player
+   * @param {string} category - DEFAULT_SCORE_WEIGHTS key
+   * @param {number} amount - Amount to add
+   */
+  add(playerId, category, amount = 1) {
+    const tally = this.tallies.get(playerId);
+    const player = this.room.state.players.get(playerId);
+    if (!tally || !player) return;
+
+    tally[category] += amount;
+    player.currentProgress = this.getScore(playerId);
+
+    const index = this.ranking.indexOf(playerId);
+    if (this.moveUp(index) !== index) {
+      this.syncLeaderboard();
+    }
+  }
+
+  /**
+   * Move a ranking entry up past everyone it now beats
+   * @param {number} index - Current index in the ranking
+   * @returns {number} - New index
+   */
+  moveUp(index) {
+    while (index > 0 && this.compare(this.ranking[index], this.ranking[index - 1]) < 0) {
+      [this.ranking[index - 1], this.ranking[index]] = [this.ranking[index], this.ranking[index - 1]];
+      index--;
+    }
+
+    return index;
+  }
+
+  /**
+   * Order two players, negative if the first ranks higher
+   * Ties go to whoever completed more objectives, then to the earlier entry.
+   * @param {string} aId - First player ID
+   * @param {string} bId - Second player ID
+   * @returns {number} - Sort order
+   */
+  compare(aId, bId) {
+    const scoreDiff = this.getScore(bId) - this.getScore(aId);
+    if (scoreDiff !== 0) return scoreDiff;
+
+    return this.getTally(bId).objectives - this.getTally(aId).objectives;
+  }
+
+  /**
+   * Get a player's total score
+   * @param {string} playerId - Player ID
+   * @returns {number} - Weighted sum of the tallies, rounded down
+   */
+  getScore(playerId) {
+    return Object.values(this.getBreakdown(playerId)).reduce((sum, points) => sum + points, 0);
+  }
+
+  /**
+   * Get the points a player earned per category
+   * @param {string} playerId - Player ID
+   * @returns {Object} - Category -> points
+   */
+  getBreakdown(playerId) {
+    const tally = this.getTally(playerId);
+    const breakdown = {};
+    Object.keys(this.weights).forEach((category) => {
+      breakdown[category] = Math.floor((tally[category] || 0) * this.weights[category]);
+    });
+
+    return breakdown;
+  }
+
+  getTally(playerId) {
+    return this.tallies.get(playerId) || {};
+  }
+
+  getRanking() {
+    return this.ranking;
+  }
+
+  /**
+   * Copy the ranking into the synced leaderboard
+   */
+  syncLeaderboard() {
+    const leaderboard = this.room.state.leaderboard;
+    leaderboard.clear();
+    this.ranking.forEach((id) => leaderboard.push(id));
+  }
+}
@@ -0,0 +1,195 @@
+// server/systems/SpectatorSystem.js
+
+/**
+ * SpectatorSystem - Keeps eliminated players watching the match
+ *
+ * Spectators either follow an alive player, receiving that player's position
+ * every tick, or use a free camera that the client moves on its own.
+ */
+export class SpectatorSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.lastPositions = new Map(); // Followed player ID -> "x,y" last relayed
+  }
+
+  registerHandlers() {
+    // Follow a specific player, or switch to the free camera with no targetId
+    this.room.onMessage("spectate", (client, message) => {
+      this.handleSpectate(client, message || {});
+    });
+
+    // Follow the next or previous alive player
+    this.room.onMessage("spectateCycle", (client, message) => {
+      this.handleCycle(client, message || {});
+    });
+  }
+
+  /**
+   * Turn an eliminated player into a spectator
+   * Starts by following the killer if they're a player who is still alive.
+   * @param {PlayerState} player - Eliminated player
+   * @param {Object} attacker - Killer (player or monster), if any
+   */
+  startSpectating(player, attacker = null) {
+    player.isSpectator = true;
+
+    const killer = attacker && this.room.state.players.get(attacker.id);
+    const target = this.isWatchable(killer) ? killer : this.getWatchablePlayers()[0];
+    this.setTarget(player, target ? target.id : "");
+
+    // Anyone who was watching this player moves on too
+    this.retargetSpectatorsOf(player.id, target ? target.id : "");
+  }
+
+  /**
+   * Handle a request to follow a player or free the camera
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { targetId } (empty for the free camera)
+   */
+  handleSpectate(client, message) {
+    const player = this.room.state.players.get(client.id);
+    if (!player || !player.isSpectator) return;
+
+    if (!message.targetId) {
+      this.setTarget(player, "");
+      return;
+    }
+
+    const target = this.room.state.players.get(message.targetId);
+    if (!this.isWatchable(target)) {
+      client.send("spectateRejected", { targetId: message.targetId, reason: "notAvailable" });
+      return;
+    }
+
+    this.setTarget(player, target.id);
+  }
+
+  /**
+   * Handle a request to follow the next or previous alive player
+   * @param {Client} client - Colyseus client
+   * @param {Object} message - { direction } (1 for next, -1 for previous)
+   */
+  handleCycle(client, message) {
+    const player = this.room.state.players.get(client.id);
+    if (!player || !player.isSpectator) return;
+
+    const candidates = this.getWatchablePlayers();
+    if (candidates.length === 0) {
+      this.setTarget(player, "");
+      return;
+    }
+
+    const step = message.direction === -1 ? -1 : 1;
+    const index = candidates.findIndex((candidate) => candidate.id === player.spectatingId);
+    const next = candidates[(index + step + candidates.length) % candidates.length];
+    this.setTarget(player, next.id);
+  }
+
+  /**
+   * Point a spectator at a player and tell their client
+   * @param {PlayerState} spectator - Spectating player
+   * @param {string} targetId - Player to follow, or "" for the free camera
+   */
+  setTarget(spectator, targetId) {
+    spectator.spectatingId = targetId;
+
+    const client = this.getClient(spectator.id);
+    if (!client) return;
+
+    const target = targetId ? this.room.state.players.get(targetId) : null;
+    client.send("spectating", {
+      targetId: targetId || null,
+      targetName: target ? target.name : null,
+      freeCamera: !target,
+      x: target ? target.position.x : spectator.position.x,
+      y: target ? target.position.y : spectator.position.y,
+      candidates: this.getWatchablePlayers().map((candidate) => ({
+        id: candidate.id,
+        name: candidate.name,
+      })),
+    });
+  }
+
+  /**
+   * Move everyone following a player to a new target
+   * @param {string} playerId - Player who can no longer be followed
+   * @param {string} fallbackId - Preferred new target, if any
+   */
+  retargetSpectatorsOf(playerId, fallbackId = "") {
+    this.room.state.players.forEach((spectator) => {
+      if (!spectator.isSpectator || spectator.spectatingId !== playerId) return;
+
+      const fallback = fallbackId && this.room.state.players.get(fallbackId);
+      const target = this.isWatchable(fallback) ? fallback : this.getWatchablePlayers()[0];
+      this.setTarget(spectator, target ? target.id : "");
+    });
+  }
+
+  /**
+   * Relay followed players' positions to their spectators
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    const followers = new Map(); // Followed player ID -> spectator clients
+
+    this.room.state.players.forEach((spectator) => {
+      if (!spectator.isSpectator || !spectator.spectatingId) return;
+
+      const client = this.getClient(spectator.id);
+      if (!client) return;
+
+      if (!followers.has(spectator.spectatingId)) {
+        followers.set(spectator.spectatingId, []);
+      }
+      followers.get(spectator.spectatingId).push(client);
+    });
+
+    for (const [targetId, clients] of followers.entries()) {
+      const target = this.room.state.players.get(targetId);
+      if (!target) continue;
+
+      // Only send when the followed player actually moved
+      const key = `${target.position.x},${target.position.y}`;
+      if (this.lastPositions.get(targetId) === key) continue;
+      this.lastPositions.set(targetId, key);
+
+      clients.forEach((client) =>
+        client.send("spectatorPosition", {
+          targetId,
+          x: target.position.x,
+          y: target.position.y,
+        })
+      );
+    }
+  }
+
+  /**
+   * Check if a player can be followed
+   * @param {PlayerState} player - Candidate
+   * @returns {boolean} - True for alive, non-spectating players
+   */
+  isWatchable(player) {
+    return !!player && player.isAlive && !player.isSpectator;
+  }
+
+  getWatchablePlayers() {
+    return Array.from(this.room.state.players.values()).filter((player) =>
+      this.isWatchable(player)
+    );
+  }
+
+  /**
+   * Clean up when a player leaves
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.lastPositions.delete(playerId);
+    this.retargetSpectatorsOf(playerId);
+  }
+
+  getClient(playerId) {
+    return this.room.clients.find((c) => c.id === playerId);
+  }
+}
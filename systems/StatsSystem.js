@@ -0,0 +1,135 @@
+// server/systems/StatsSystem.js
+import { BOON_CATALOG } from "./BoonCatalog.js";
+
+/**
+ * Player stats before levels, boons and equipment
+ */
+export const BASE_PLAYER_STATS = {
+  maxHealth: 100,
+  damage: 10,
+  defense: 5,
+  critChance: 0.05,
+  critMultiplier: 1.5,
+  moveSpeed: 300,
+  dashDistance: 120,
+  dashCooldown: 3.0,
+};
+
+// Lower bounds so stacked penalties can't break movement or combat
+const STAT_MINIMUMS = {
+  maxHealth: 1,
+  damage: 1,
+  defense: 0,
+  critChance: 0,
+  critMultiplier: 1,
+  moveSpeed: 100,
+  dashDistance: 0,
+  dashCooldown: 0.5,
+};
+
+// Stats that live on PlayerState rather than StatsSchema
+const PLAYER_FIELDS = ["moveSpeed", "dashDistance", "dashCooldown"];
+
+/**
+ * StatsSystem - Derives a player's effective stats
+ *
+ * Effective stats are rebuilt from scratch in a fixed order: base stats,
+ * level gains, boon modifiers, equipment bonuses, then status effects.
+ */
+export class StatsSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+  }
+
+  /**
+   * Recompute a player's effective stats and write them to the state
+   * @param {PlayerState} player - Player to recalculate
+   * @returns {Object} - Effective stats
+   */
+  recalculate(player) {
+    const stats = { ...BASE_PLAYER_STATS };
+
+    // Level gains
+    const gains = this.room.progressionSystem.levelUpStats;
+    const levels = Math.max(0, player.stats.level - 1);
+    for (const [stat, amount] of Object.entries(gains)) {
+      stats[stat] += amount * levels;
+    }
+
+    // Boons, in the order they were chosen
+    player.boons.forEach((boonId) => {
+      const boon = BOON_CATALOG[boonId];
+      if (!boon) return;
+
+      for (const modifier of boon.modifiers) {
+        this.applyModifier(stats, modifier);
+      }
+    });
+
+    // Equipment adds flat bonuses
+    player.equipment.forEach((item) => {
+      item.stats.forEach((value, stat) => {
+        if (stat in stats) {
+          stats[stat] += value;
+        }
+      });
+    });
+
+    // Status effects apply on top of everything else
+    this.room.statusEffectSystem.getModifiers(player).forEach((modifier) => {
+      this.applyModifier(stats, modifier);
+    });
+
+    for (const [stat, minimum] of Object.entries(STAT_MINIMUMS)) {
+      stats[stat] = Math.max(minimum, stats[stat]);
+    }
+    stats.critChance = Math.min(1, stats.critChance);
+    stats.maxHealth = Math.round(stats.maxHealth);
+
+    this.writeStats(player, stats);
+
+    return stats;
+  }
+
+  /**
+   * Apply a single modifier to a stats object
+   * @param {Object} stats - Stats being built
+   * @param {Object} modifier - { stat, add } or { stat, multiply }
+   */
+  applyModifier(stats, { stat, add = 0, multiply = 1 }) {
+    // Dash charges are schema entries, handled by BoonSystem
+    if (stat === "dashCharges") return;
+
+    if (!(stat in stats)) {
+      console.warn(`Unknown stat modifier: ${stat}`);
+      return;
+    }
+
+    stats[stat] = stats[stat] * multiply + add;
+  }
+
+  writeStats(player, stats) {
+    // Keep health in step with max health changes
+    const maxHealthChange = stats.maxHealth - player.stats.maxHealth;
+    player.stats.maxHealth = stats.maxHealth;
+    if (player.isAlive) {
+      player.stats.health = Math.max(
+        1,
+        Math.min(stats.maxHealth, player.stats.health + Math.max(0, maxHealthChange))
+      );
+    }
+
+    player.stats.damage = stats.damage;
+    player.stats.defense = stats.defense;
+    player.stats.critChance = stats.critChance;
+    player.stats.critMultiplier = stats.critMultiplier;
+
+    for (const field of PLAYER_FIELDS) {
+      player[field] = stats[field];
+    }
+
+    this.debug &&
+      console.log(`Recalculated stats for ${player.name}:`, stats);
+  }
+}
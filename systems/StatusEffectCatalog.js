@@ -0,0 +1,62 @@
+// server/systems/StatusEffectCatalog.js
+
+/**
+ * Status effects that can be applied to players (and monsters)
+ */
+
+/**
+ * Status effect fields:
+ * - duration: default duration in seconds
+ * - stacking: what happens when the effect is applied while already active
+ *     refresh - reset the duration
+ *     stack   - add a stack (up to maxStacks) and reset the duration
+ *     extend  - add the new duration to the remaining time
+ *     max     - keep the larger value and reset the duration
+ *     ignore  - keep the existing effect untouched
+ * - maxStacks: cap for the stack rule
+ * - immunity: seconds after the effect ends during which it can't be reapplied
+ * - tick: { interval (seconds), damage (per stack) } for damage over time
+ * - modifiers: stat modifiers ({ stat, add } or { stat, multiply }) while active
+ * - damageTaken: multiplier on incoming damage while active
+ * - absorbs: the effect's value soaks up damage and it ends when used up
+ * - blocksInput: movement, dashes, attacks and abilities are refused while active
+ */
+export const STATUS_EFFECTS = {
+  poison: {
+    duration: 6,
+    stacking: "stack",
+    maxStacks: 5,
+    tick: { interval: 1, damage: 2 },
+  },
+  burn: {
+    duration: 3,
+    stacking: "refresh",
+    tick: { interval: 0.5, damage: 3 },
+  },
+  slow: {
+    duration: 3,
+    stacking: "refresh",
+    modifiers: [{ stat: "moveSpeed", multiply: 0.6 }],
+  },
+  haste: {
+    duration: 5,
+    stacking: "refresh",
+    modifiers: [{ stat: "moveSpeed", multiply: 1.4 }],
+  },
+  stun: {
+    duration: 1.5,
+    stacking: "ignore",
+    immunity: 3,
+    blocksInput: true,
+  },
+  vulnerable: {
+    duration: 4,
+    stacking: "refresh",
+    damageTaken: 1.25,
+  },
+  shield: {
+    duration: 6,
+    stacking: "max",
+    absorbs: true,
+  },
+};
@@ -0,0 +1,326 @@
+// server/systems/StatusEffectSystem.js
+import { StatusEffect } from "../schemas/StatusEffect.js";
+import { STATUS_EFFECTS } from "./StatusEffectCatalog.js";
+
+/**
+ * StatusEffectSystem - Applies, ticks and expires status effects
+ *
+ * Effects live in each entity's `statusEffects` map so clients can show them.
+ * Expiry, damage ticks and immunity windows run on the room clock and are
+ * tracked server-side only.
+ */
+export class StatusEffectSystem {
+  constructor(room) {
+    this.room = room;
+    this.debug = false;
+
+    this.timings = new Map(); // "entityId:effectId" -> { expiresAt, nextTickAt }
+    this.immunities = new Map(); // "entityId:effectId" -> clock time immunity ends
+  }
+
+  /**
+   * Apply a status effect, following the effect's stacking rule
+   * @param {PlayerState} target - Entity receiving the effect
+   * @param {string} effectId - StatusEffectCatalog ID
+   * @param {Object} options - { sourceId, duration (seconds), value, stacks }
+   * @returns {StatusEffect|null} - Active effect, or null if unknown or immune
+   */
+  apply(target, effectId, options = {}) {
+    const definition = STATUS_EFFECTS[effectId];
+    if (!definition) {
+      console.warn(`Unknown status effect: ${effectId}`);
+      return null;
+    }
+
+    if (!target || !target.isAlive || !target.statusEffects) return null;
+
+    const now = this.room.clock.currentTime;
+    const key = this.getKey(target, effectId);
+    if ((this.immunities.get(key) || 0) > now) return null;
+
+    const duration = (options.duration ?? definition.duration) * 1000;
+    const maxStacks = definition.maxStacks || 1;
+    let effect = target.statusEffects.get(effectId);
+    let timing = this.timings.get(key);
+
+    if (effect && timing) {
+      switch (definition.stacking) {
+        case "ignore":
+          return effect;
+        case "stack":
+          effect.stacks = Math.min(maxStacks, effect.stacks + (options.stacks || 1));
+          timing.expiresAt = now + duration;
+          break;
+        case "extend":
+          timing.expiresAt += duration;
+          break;
+        case "max":
+          effect.value = Math.max(effect.value, options.value || 0);
+          timing.expiresAt = now + duration;
+          break;
+        default: // refresh
+          timing.expiresAt = now + duration;
+      }
+    } else {
+      effect = new StatusEffect();
+      effect.id = effectId;
+      effect.stacks = Math.min(maxStacks, options.stacks || 1);
+      effect.value = options.value || 0;
+
+      timing = {
+        expiresAt: now + duration,
+        nextTickAt: definition.tick ? now + definition.tick.interval * 1000 : Infinity,
+      };
+      this.timings.set(key, timing);
+      target.statusEffects.set(effectId, effect);
+    }
+
+    if (options.sourceId) {
+      effect.sourceId = options.sourceId;
+    }
+    effect.duration = timing.expiresAt - now;
+    effect.endsAt = Date.now() + effect.duration;
+
+    this.room.broadcast("statusApplied", {
+      targetId: target.id,
+      effectId,
+      sourceId: effect.sourceId || null,
+      stacks: effect.stacks,
+      value: effect.value,
+      duration: effect.duration,
+    });
+
+    if (definition.modifiers) {
+      this.refreshStats(target);
+    }
+
+    this.debug &&
+      console.log(`${target.name || target.id} gained ${effectId} x${effect.stacks}`);
+
+    return effect;
+  }
+
+  /**
+   * Remove a status effect and start its immunity window
+   * @param {PlayerState} target - Entity with the effect
+   * @param {string} effectId - StatusEffectCatalog ID
+   * @param {string} reason - expired, depleted, cleansed or death
+   */
+  remove(target, effectId, reason = "expired") {
+    if (!target.statusEffects || !target.statusEffects.has(effectId)) return;
+
+    const definition = STATUS_EFFECTS[effectId] || {};
+    const key = this.getKey(target, effectId);
+
+    target.statusEffects.delete(effectId);
+    this.timings.delete(key);
+
+    if (definition.immunity) {
+      this.immunities.set(key, this.room.clock.currentTime + definition.immunity * 1000);
+    }
+
+    this.room.broadcast("statusRemoved", {
+      targetId: target.id,
+      effectId,
+      reason,
+    });
+
+    if (definition.modifiers) {
+      this.refreshStats(target);
+    }
+  }
+
+  /**
+   * Remove every status effect from an entity
+   * @param {PlayerState} target - Entity to clear
+   * @param {string} reason - Why the effects are removed
+   */
+  clear(target, reason = "cleansed") {
+    if (!target.statusEffects) return;
+
+    Array.from(target.statusEffects.keys()).forEach((effectId) =>
+      this.remove(target, effectId, reason)
+    );
+  }
+
+  /**
+   * Tick damage over time and expire finished effects
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    const now = this.room.clock.currentTime;
+
+    const process = (target) => {
+      if (!target.isAlive || !target.statusEffects || target.statusEffects.size === 0) return;
+
+      // Copy the IDs first, effects can be removed while processing
+      for (const effectId of Array.from(target.statusEffects.keys())) {
+        const effect = target.statusEffects.get(effectId);
+        const timing = this.timings.get(this.getKey(target, effectId));
+        const definition = STATUS_EFFECTS[effectId];
+        if (!effect || !timing || !definition) continue;
+
+        // Catch up on every tick due before now or the expiry, whichever is first
+        if (definition.tick) {
+          const interval = definition.tick.interval * 1000;
+          while (timing.nextTickAt <= Math.min(now, timing.expiresAt)) {
+            timing.nextTickAt += interval;
+            this.tickDamage(target, effect, definition);
+
+            // Dying clears every effect
+            if (!target.isAlive) return;
+          }
+        }
+
+        if (now >= timing.expiresAt) {
+          this.remove(target, effectId, "expired");
+        }
+      }
+    };
+
+    this.room.state.players.forEach(process);
+    this.room.state.monsters.forEach(process);
+  }
+
+  tickDamage(target, effect, definition) {
+    const source =
+      this.room.state.players.get(effect.sourceId) ||
+      this.room.state.monsters.get(effect.sourceId) ||
+      null;
+
+    this.room.combatSystem.applyDamage(target, definition.tick.damage * effect.stacks, {
+      attacker: source,
+      source: effect.id,
+    });
+  }
+
+  /**
+   * Stat modifiers from an entity's active effects
+   * @param {PlayerState} target - Entity to check
+   * @returns {Array} - Modifiers ({ stat, add } or { stat, multiply })
+   */
+  getModifiers(target) {
+    const modifiers = [];
+    if (!target.statusEffects) return modifiers;
+
+    target.statusEffects.forEach((effect) => {
+      const definition = STATUS_EFFECTS[effect.id];
+      if (definition && definition.modifiers) {
+        modifiers.push(...definition.modifiers);
+      }
+    });
+
+    return modifiers;
+  }
+
+  /**
+   * Combined incoming damage multiplier from active effects
+   * @param {PlayerState} target - Entity to check
+   * @returns {number} - Multiplier (1 when unaffected)
+   */
+  getDamageTakenMultiplier(target) {
+    let multiplier = 1;
+    if (!target.statusEffects) return multiplier;
+
+    target.statusEffects.forEach((effect) => {
+      const definition = STATUS_EFFECTS[effect.id];
+      if (definition && definition.damageTaken) {
+        multiplier *= definition.damageTaken;
+      }
+    });
+
+    return multiplier;
+  }
+
+  /**
+   * Check if an entity may move, dash, attack or use abilities
+   * @param {PlayerState} target - Entity to check
+   * @returns {boolean} - False while an input-blocking effect is active
+   */
+  canAct(target) {
+    if (!target.statusEffects) return true;
+
+    for (const effect of target.statusEffects.values()) {
+      const definition = STATUS_EFFECTS[effect.id];
+      if (definition && definition.blocksInput) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Total damage the entity's absorbing effects can still soak up
+   * @param {PlayerState} target - Entity to check
+   * @returns {number} - Remaining absorb amount
+   */
+  getAbsorb(target) {
+    let total = 0;
+    if (!target.statusEffects) return total;
+
+    target.statusEffects.forEach((effect) => {
+      const definition = STATUS_EFFECTS[effect.id];
+      if (definition && definition.absorbs) {
+        total += effect.value;
+      }
+    });
+
+    return total;
+  }
+
+  /**
+   * Let absorbing effects soak up incoming damage, removing any that run out
+   * @param {PlayerState} target - Entity being hit
+   * @param {number} amount - Incoming damage
+   * @returns {number} - Damage absorbed
+   */
+  absorbDamage(target, amount) {
+    if (!target.statusEffects || amount <= 0) return 0;
+
+    let absorbed = 0;
+    const depleted = [];
+
+    target.statusEffects.forEach((effect) => {
+      const definition = STATUS_EFFECTS[effect.id];
+      if (!definition || !definition.absorbs || absorbed >= amount) return;
+
+      const soaked = Math.min(effect.value, amount - absorbed);
+      effect.value -= soaked;
+      absorbed += soaked;
+
+      if (effect.value <= 0) {
+        depleted.push(effect.id);
+      }
+    });
+
+    depleted.forEach((effectId) => this.remove(target, effectId, "depleted"));
+
+    return absorbed;
+  }
+
+  /**
+   * Recalculate player stats after modifiers changed
+   * @param {PlayerState} target - Entity whose modifiers changed
+   */
+  refreshStats(target) {
+    if (this.room.state.players.get(target.id) === target) {
+      this.room.statsSystem.recalculate(target);
+    }
+  }
+
+  getKey(target, effectId) {
+    return `${target.id}:${effectId}`;
+  }
+
+  /**
+   * Remove per-player tracking when a player leaves
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    const prefix = `${playerId}:`;
+    for (const map of [this.timings, this.immunities]) {
+      for (const key of Array.from(map.keys())) {
+        if (key.startsWith(prefix)) map.delete(key);
+      }
+    }
+  }
+}